@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."File" ADD COLUMN     "hash" TEXT;
+
+-- CreateIndex
+CREATE INDEX "File_hash_idx" ON "public"."File"("hash");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."Artist" ADD COLUMN     "site" TEXT NOT NULL DEFAULT 'coomer';
+
+-- Backfill artists that were added from kemono links
+UPDATE "public"."Artist" SET "site" = 'kemono' WHERE "url" ~* '^https?://([a-z0-9-]+\.)*kemono\.';
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."Artist" ADD COLUMN     "lastPostId" TEXT,
+ADD COLUMN     "lastPostPublishedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "public"."Post" ADD COLUMN     "completedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Post_artistId_identifier_idx" ON "public"."Post"("artistId", "identifier");
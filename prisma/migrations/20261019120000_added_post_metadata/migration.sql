@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "public"."File" ADD COLUMN     "position" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."Post" ADD COLUMN     "content" TEXT,
+ADD COLUMN     "editedAt" TIMESTAMP(3),
+ADD COLUMN     "embed" JSONB,
+ADD COLUMN     "publishedAt" TIMESTAMP(3),
+ADD COLUMN     "tags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "title" TEXT;
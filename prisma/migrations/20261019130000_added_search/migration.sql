@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "public"."File" ADD COLUMN     "type" TEXT NOT NULL DEFAULT 'unknown';
+
+-- CreateIndex
+CREATE INDEX "File_type_idx" ON "public"."File"("type");
+
+-- Backfill the media type, same mapping as fileTypeByFilename
+UPDATE "public"."File" SET "type" = CASE substring("filename" from '[^.]*$')
+  WHEN 'png' THEN 'image'
+  WHEN 'jpg' THEN 'image'
+  WHEN 'jpeg' THEN 'image'
+  WHEN 'gif' THEN 'image'
+  WHEN 'webp' THEN 'image'
+  WHEN 'mp4' THEN 'video'
+  WHEN 'webm' THEN 'video'
+  WHEN 'mkv' THEN 'video'
+  WHEN 'mp3' THEN 'audio'
+  WHEN 'wav' THEN 'audio'
+  ELSE 'unknown'
+END;
+
+-- Full-text search indexes, the expressions must match the ones in src/lib/search.js
+CREATE INDEX "Artist_name_search_idx" ON "public"."Artist" USING GIN (to_tsvector('simple', "name"));
+
+CREATE INDEX "Post_search_idx" ON "public"."Post" USING GIN (to_tsvector('simple', coalesce("title", '') || ' ' || coalesce("content", '')));
+
+CREATE INDEX "File_filename_search_idx" ON "public"."File" USING GIN (to_tsvector('simple', "filename"));
+
+-- CreateIndex
+CREATE INDEX "File_postId_idx" ON "public"."File"("postId");
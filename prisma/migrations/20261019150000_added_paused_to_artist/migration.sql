@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."Artist" ADD COLUMN     "paused" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "public"."Artist" ADD COLUMN     "lastScrapedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."ArtistPolicy" (
+    "id" TEXT NOT NULL,
+    "maxPosts" INTEGER,
+    "fullArchive" BOOLEAN NOT NULL DEFAULT false,
+    "newerThan" TIMESTAMP(3),
+    "includeTypes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "excludeTypes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "maxFileSizeMb" INTEGER,
+    "scrapeIntervalMinutes" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "artistId" TEXT NOT NULL,
+
+    CONSTRAINT "ArtistPolicy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ArtistPolicy_artistId_key" ON "public"."ArtistPolicy"("artistId");
+
+-- AddForeignKey
+ALTER TABLE "public"."ArtistPolicy" ADD CONSTRAINT "ArtistPolicy_artistId_fkey" FOREIGN KEY ("artistId") REFERENCES "public"."Artist"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "public"."Artist" ADD COLUMN     "lastNewPostAt" TIMESTAMP(3),
+ADD COLUMN     "nextScrapeAt" TIMESTAMP(3),
+ADD COLUMN     "scrapeIntervalMinutes" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."ArtistPolicy" ADD COLUMN     "scrapeWindows" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Artist_paused_nextScrapeAt_idx" ON "public"."Artist"("paused", "nextScrapeAt");
+
+-- Seed the activity of known artists from their newest stored post
+UPDATE "public"."Artist" a SET "lastNewPostAt" = p."publishedAt"
+FROM (
+  SELECT "artistId", MAX("publishedAt") AS "publishedAt"
+  FROM "public"."Post"
+  GROUP BY "artistId"
+) p
+WHERE p."artistId" = a."id";
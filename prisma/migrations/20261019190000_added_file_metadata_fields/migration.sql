@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "public"."FileMetadata" ADD COLUMN     "bitrate" INTEGER,
+ADD COLUMN     "codec" TEXT,
+ADD COLUMN     "mime" TEXT,
+ADD COLUMN     "size" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "public"."PopularFileMetadata" ADD COLUMN     "bitrate" INTEGER,
+ADD COLUMN     "codec" TEXT,
+ADD COLUMN     "mime" TEXT,
+ADD COLUMN     "size" DOUBLE PRECISION;
@@ -0,0 +1,48 @@
+-- AlterTable
+ALTER TABLE "public"."File" ADD COLUMN     "mime" TEXT;
+
+-- Types were guessed from a short, case sensitive list of extensions, the
+-- metadata backfill replaces them with what the content says
+UPDATE "public"."File" SET "type" = CASE lower(substring("filename" from '[^.]*$'))
+  WHEN 'jpg' THEN 'image'
+  WHEN 'jpeg' THEN 'image'
+  WHEN 'jfif' THEN 'image'
+  WHEN 'png' THEN 'image'
+  WHEN 'apng' THEN 'image'
+  WHEN 'gif' THEN 'image'
+  WHEN 'webp' THEN 'image'
+  WHEN 'avif' THEN 'image'
+  WHEN 'heic' THEN 'image'
+  WHEN 'heif' THEN 'image'
+  WHEN 'bmp' THEN 'image'
+  WHEN 'tif' THEN 'image'
+  WHEN 'tiff' THEN 'image'
+  WHEN 'mp4' THEN 'video'
+  WHEN 'm4v' THEN 'video'
+  WHEN 'mov' THEN 'video'
+  WHEN 'webm' THEN 'video'
+  WHEN 'mkv' THEN 'video'
+  WHEN 'avi' THEN 'video'
+  WHEN 'wmv' THEN 'video'
+  WHEN 'flv' THEN 'video'
+  WHEN 'ts' THEN 'video'
+  WHEN '3gp' THEN 'video'
+  WHEN 'mp3' THEN 'audio'
+  WHEN 'm4a' THEN 'audio'
+  WHEN 'aac' THEN 'audio'
+  WHEN 'wav' THEN 'audio'
+  WHEN 'flac' THEN 'audio'
+  WHEN 'ogg' THEN 'audio'
+  WHEN 'oga' THEN 'audio'
+  WHEN 'opus' THEN 'audio'
+  WHEN 'zip' THEN 'archive'
+  WHEN 'rar' THEN 'archive'
+  WHEN '7z' THEN 'archive'
+  WHEN 'tar' THEN 'archive'
+  WHEN 'gz' THEN 'archive'
+  WHEN 'pdf' THEN 'document'
+  WHEN 'txt' THEN 'document'
+  WHEN 'psd' THEN 'document'
+  WHEN 'svg' THEN 'document'
+  ELSE 'unknown'
+END;
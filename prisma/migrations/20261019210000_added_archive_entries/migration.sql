@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "public"."File" ADD COLUMN     "archivePath" TEXT,
+ADD COLUMN     "extractedAt" TIMESTAMP(3),
+ADD COLUMN     "parentId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "File_parentId_idx" ON "public"."File"("parentId");
+
+-- AddForeignKey
+ALTER TABLE "public"."File" ADD CONSTRAINT "File_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "public"."File"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -1,5 +1,7 @@
 import { seed as seedInstance } from "../../lib/seed.js";
 import { validation as validationInstance } from "../../lib/validation.js";
+import { reconciler } from "../../lib/reconcile.js";
+import { parseBoolean, QueryError } from "../../lib/pagination.js";
 
 export const seed = async (req, res) => {
   if (seedInstance.started) {
@@ -16,7 +18,55 @@ export const validate = async (req, res) => {
       .json({ message: "Validation is already in progress" });
   }
 
-  validationInstance.run();
+  let options;
+  try {
+    options = { deep: parseBoolean(req.query.deep, "deep") || false };
+    if (req.query.concurrency) {
+      options.concurrency = parseInt(req.query.concurrency, 10);
+      if (!(options.concurrency >= 1 && options.concurrency <= 16)) {
+        throw new QueryError(
+          `Invalid concurrency: ${req.query.concurrency}, expected 1 to 16`,
+        );
+      }
+    }
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+
+  validationInstance.run(options);
+
+  res.status(200).json({ message: "Validation started", ...options });
+};
+
+/**
+ * Starts a reconcile of the disk and the database. It is a dry run unless
+ * `apply` is set, the report is then read with `GET /reconcile`.
+ */
+export const reconcile = async (req, res) => {
+  if (reconciler.started) {
+    return res
+      .status(400)
+      .json({ message: "Reconcile is already in progress" });
+  }
+
+  const dryRun = req.body?.apply !== true;
+  reconciler
+    .run({ dryRun, removeMissing: req.body?.removeMissing === true })
+    .catch((e) =>
+      console.error(
+        `Failed to reconcile, error: ${e.message || "no error message"}`,
+      ),
+    );
+
+  res.status(200).json({ message: "Reconcile started", dryRun });
+};
 
-  res.status(200).json({ message: "Validation started" });
+export const getReconcileReport = async (req, res) => {
+  res.status(200).json({
+    started: reconciler.started,
+    report: reconciler.report,
+  });
 };
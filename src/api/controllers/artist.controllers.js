@@ -1,35 +1,68 @@
 import prisma from "../../lib/prisma.js";
+import {
+  paginate,
+  paginateByDate,
+  parseBoolean,
+  parseLimit,
+  parseList,
+  parseSort,
+  QueryError,
+} from "../../lib/pagination.js";
+import {
+  deleteArtist,
+  exportArtists,
+  importArtist,
+  importArtists,
+} from "../../lib/artists.js";
+import { cancelArtistJobs, enqueueArtistScrape } from "../../lib/jobs.js";
+import {
+  deletePolicy,
+  resolvePolicy,
+  updatePolicy,
+  validatePolicy,
+} from "../../lib/policies.js";
+import { parseArtistUrl } from "../../lib/sites.js";
+
+const ARTIST_SORTS = {
+  createdAt: (order) => ({ createdAt: order }),
+  name: (order) => ({ name: order }),
+  files: (order) => ({ files: { _count: order } }),
+};
+
+const FILE_SORTS = {
+  createdAt: (order) => ({ createdAt: order }),
+  filename: (order) => ({ filename: order }),
+};
 
 const getArtists = async (req, res) => {
-  const offset = parseInt(req.query.offset, 10) || 0;
-  const limit = parseInt(req.query.limit, 10) || 16;
   try {
-    const artists = await prisma.artist.findMany({
-      include: {
-        posts: true,
-        files: true,
+    const where = {};
+    const service = parseList(req.query.service);
+    if (service) where.service = { in: service };
+    const site = parseList(req.query.site);
+    if (site) where.site = { in: site };
+    const isException = parseBoolean(req.query.isException, "isException");
+    if (isException !== undefined) where.isException = isException;
+
+    const page = await paginate(
+      "artist",
+      {
+        where,
+        orderBy: parseSort(req.query, ARTIST_SORTS, "createdAt"),
+        include: { _count: { select: { posts: true, files: true } } },
       },
-      skip: offset,
-      take: limit,
-    });
-    res.status(200).json(
-      artists.map((artist) => ({
-        ...artist,
-        posts: artist.posts.length,
-        files: artist.files.length,
-      }))
+      { cursor: req.query.cursor, limit: parseLimit(req.query.limit, 16) },
     );
+    res.status(200).json(page);
   } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 };
 
 const getArtist = async (req, res) => {
-  const fileOffset = parseInt(req.query.fileOffset, 10) || 0;
-  const fileLimit = parseInt(req.query.fileLimit, 10) || 24;
-  const postOffset = parseInt(req.query.postOffset, 10) || 0;
-  const postLimit = parseInt(req.query.postLimit, 10) || 12;
-
   try {
     /*const storage = await prisma.storage.findFirst({});
     let handshakeSuccess = false;
@@ -56,25 +89,53 @@ const getArtist = async (req, res) => {
         id: req.params.id,
       },
       include: {
-        posts: {
-          skip: postOffset,
-          take: postLimit,
-        },
-        files: {
-          include: {
-            metadata: true,
-          },
-          skip: fileOffset,
-          take: fileLimit,
-        },
+        policy: true,
+        _count: { select: { posts: true, files: true } },
       },
     });
 
     if (!artist) {
       return res.status(404).json({ error: "Artist not found" });
     }
-    res.status(200).json(artist);
+
+    const fileWhere = { artistId: artist.id };
+    const type = parseList(req.query.type);
+    if (type) fileWhere.type = { in: type };
+    const validated = parseBoolean(req.query.validated, "validated");
+    if (validated !== undefined) fileWhere.validated = validated;
+
+    const [posts, files] = await Promise.all([
+      paginateByDate(
+        "post",
+        "publishedAt",
+        {
+          where: { artistId: artist.id },
+          include: { _count: { select: { files: true } } },
+        },
+        {
+          cursor: req.query.postCursor,
+          limit: parseLimit(req.query.postLimit, 12),
+        },
+      ),
+      paginate(
+        "file",
+        {
+          where: fileWhere,
+          orderBy: parseSort(req.query, FILE_SORTS, "createdAt"),
+          include: { metadata: true },
+        },
+        {
+          cursor: req.query.fileCursor,
+          limit: parseLimit(req.query.fileLimit, 24),
+        },
+      ),
+    ]);
+
+    res.status(200).json({ ...artist, posts, files });
   } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 };
@@ -95,4 +156,198 @@ const setArtistException = async (req, res) => {
   }
 };
 
-export { getArtists, getArtist, setArtistException };
+const createArtist = async (req, res) => {
+  try {
+    const url = req.body?.url;
+    try {
+      parseArtistUrl(url || "");
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const { artist, created } = await importArtist(url, {
+      isException: req.body.isException === true,
+      paused: req.body.paused === true,
+      scrape: req.body.scrape !== false,
+    });
+    if (!created) {
+      return res.status(409).json({ error: "Artist already exists", artist });
+    }
+    res.status(201).json(artist);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const UPDATABLE_FIELDS = {
+  name: (value) => typeof value === "string" && value.trim().length > 0,
+  isException: (value) => typeof value === "boolean",
+  paused: (value) => typeof value === "boolean",
+};
+
+const updateArtist = async (req, res) => {
+  try {
+    const data = {};
+    for (const [field, value] of Object.entries(req.body || {})) {
+      if (!UPDATABLE_FIELDS[field]) {
+        return res.status(400).json({ error: `Unknown field: ${field}` });
+      }
+      if (!UPDATABLE_FIELDS[field](value)) {
+        return res.status(400).json({ error: `Invalid ${field}` });
+      }
+      data[field] = value;
+    }
+
+    const artist = await prisma.artist.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!artist) {
+      return res.status(404).json({ error: "Artist not found" });
+    }
+
+    if (data.paused === true) await cancelArtistJobs(artist.id);
+
+    res.status(200).json(
+      await prisma.artist.update({
+        where: { id: artist.id },
+        data,
+      }),
+    );
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const removeArtist = async (req, res) => {
+  try {
+    const purge = parseBoolean(req.query.purge, "purge") === true;
+    const result = await deleteArtist(req.params.id, { purge });
+    if (!result) {
+      return res.status(404).json({ error: "Artist not found" });
+    }
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Takes a list of URLs, `{ urls }`, or the output of the export endpoint as
+ * is, and reports the result of every entry.
+ */
+const importArtistList = async (req, res) => {
+  try {
+    const body = req.body;
+    const entries = Array.isArray(body)
+      ? body
+      : body?.urls || body?.artists || null;
+    if (!Array.isArray(entries)) {
+      return res
+        .status(400)
+        .json({ error: "Expected a list of URLs or exported artists" });
+    }
+
+    const results = await importArtists(entries, {
+      scrape: req.query.scrape !== "false",
+    });
+    const summary = { created: 0, exists: 0, failed: 0 };
+    for (const result of results) summary[result.status]++;
+
+    res.status(200).json({ ...summary, results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const exportArtistList = async (req, res) => {
+  try {
+    res.status(200).json(await exportArtists());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getArtistPolicy = async (req, res) => {
+  try {
+    const artist = await prisma.artist.findUnique({
+      where: { id: req.params.id },
+      include: { policy: true },
+    });
+    if (!artist) {
+      return res.status(404).json({ error: "Artist not found" });
+    }
+    res.status(200).json({
+      policy: artist.policy,
+      resolved: resolvePolicy(artist),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const setArtistPolicy = async (req, res) => {
+  try {
+    const { data, error } = validatePolicy(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const artist = await prisma.artist.findUnique({
+      where: { id: req.params.id },
+      include: { policy: true },
+    });
+    if (!artist) {
+      return res.status(404).json({ error: "Artist not found" });
+    }
+
+    const policy = await updatePolicy(artist.id, data);
+
+    // Incremental scrapes stop at known posts, the archive needs a backfill
+    if (policy.fullArchive && !artist.policy?.fullArchive && !artist.paused) {
+      await enqueueArtistScrape(artist.id, { full: true });
+    }
+
+    res.status(200).json({
+      policy,
+      resolved: resolvePolicy(artist, policy),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const resetArtistPolicy = async (req, res) => {
+  try {
+    const artist = await prisma.artist.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!artist) {
+      return res.status(404).json({ error: "Artist not found" });
+    }
+
+    await deletePolicy(artist.id);
+    res.status(200).json({
+      policy: null,
+      resolved: resolvePolicy(artist, null),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export {
+  getArtistPolicy,
+  setArtistPolicy,
+  resetArtistPolicy,
+  getArtists,
+  getArtist,
+  setArtistException,
+  createArtist,
+  updateArtist,
+  removeArtist,
+  importArtistList,
+  exportArtistList,
+};
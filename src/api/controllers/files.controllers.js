@@ -1,25 +1,74 @@
 import prisma from "../../lib/prisma.js";
-import path from "path";
 import fs from "fs";
-import { fileTypeByFilename } from "../../lib/utils.js";
-import redisClient from "../../lib/redis.js";
-import { exec } from "child_process";
 import { fileMimeByFilename } from "../../lib/utils.js";
 import { Readable } from "stream";
+import { blobPath, resolveFilePath } from "../../lib/blob-store.js";
+import { sendFile } from "../../lib/streaming.js";
+import { signUrl } from "../../lib/api-keys.js";
+import {
+  DEFAULT_THUMBNAIL_SIZE,
+  getPreview,
+  getSprite,
+  getThumbnail,
+  THUMBNAIL_FORMATS,
+  THUMBNAIL_SIZES,
+} from "../../lib/thumbnails.js";
+import {
+  ArchiveToolMissingError,
+  isExtractable,
+  listArchive,
+} from "../../lib/archives.js";
+import {
+  getSegment,
+  HlsNotFoundError,
+  masterPlaylist,
+  readRenditionPlaylist,
+  TranscodeBusyError,
+} from "../../lib/hls.js";
+import {
+  paginate,
+  parseBoolean,
+  parseLimit,
+  parseList,
+  parseSort,
+  QueryError,
+} from "../../lib/pagination.js";
+
+const FILE_SORTS = {
+  createdAt: (order) => ({ createdAt: order }),
+  filename: (order) => ({ filename: order }),
+};
 
 export const getFiles = async (req, res) => {
   try {
-    const files = await prisma.file.findMany({
-      include: {
-        artist: true,
-        metadata: true,
-        post: true,
+    const where = {};
+    const type = parseList(req.query.type);
+    if (type) where.type = { in: type };
+    const validated = parseBoolean(req.query.validated, "validated");
+    if (validated !== undefined) where.validated = validated;
+    const artistId = parseList(req.query.artistId);
+    if (artistId) where.artistId = { in: artistId };
+    const service = parseList(req.query.service);
+    if (service) where.artist = { service: { in: service } };
+
+    const page = await paginate(
+      "file",
+      {
+        where,
+        orderBy: parseSort(req.query, FILE_SORTS, "createdAt"),
+        include: {
+          artist: true,
+          metadata: true,
+          post: true,
+        },
       },
-      skip: parseInt(req.query.offset, 10) || 0,
-      take: parseInt(req.query.limit, 10) || 24,
-    });
-    res.status(200).json(files);
+      { cursor: req.query.cursor, limit: parseLimit(req.query.limit) },
+    );
+    res.status(200).json(page);
   } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 };
@@ -45,6 +94,36 @@ export const getFileData = async (req, res) => {
   }
 };
 
+/** Signed URL of the stream, for players that cannot send an API key */
+export const getFileStreamUrl = async (req, res) => {
+  try {
+    const file = await prisma.file.findUnique({
+      where: { id: req.params.id },
+      select: { id: true },
+    });
+    if (!file) {
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    let ttl = null;
+    if (req.query.expiresIn !== undefined) {
+      ttl = Number(req.query.expiresIn);
+      if (!Number.isInteger(ttl) || ttl <= 0) {
+        throw new QueryError(`Invalid expiresIn: ${req.query.expiresIn}`);
+      }
+    }
+
+    const target = req.query.format === "hls" ? "hls/master.m3u8" : "stream";
+    // signUrl() caps the lifetime to SIGNED_URL_MAX_TTL
+    res.status(200).json(signUrl(`${req.baseUrl}/${file.id}/${target}`, ttl));
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
 export const getFileStream = async (req, res) => {
   try {
     const file = await prisma.file.findUnique({
@@ -105,124 +184,232 @@ export const getFileStream = async (req, res) => {
       return;
     }*/
 
-    const fileType = fileTypeByFilename(file.filename);
-    const filePath = path.join(
-      process.env.DOWNLOAD_DIR,
-      file.artist.identifier,
-      file.filename,
-    );
+    const filePath = resolveFilePath(file);
 
     if (!fs.existsSync(filePath)) {
       return res.status(404).json({ error: "File not found on the disk" });
     }
 
-    if (fileType === "image") {
-      res.sendFile(filePath, (err) => {
-        if (err) {
-          console.error(
-            `Failed to send file ${filePath}: ${
-              err.message || "no error message"
-            }`,
-          );
-          return res.status(500).json({ error: "Failed to send file" });
-        }
+    await sendFile(req, res, filePath, {
+      contentType: file.mime || fileMimeByFilename(file.filename),
+      filename: file.filename,
+      // Blobs are named after their hash, legacy files may be replaced
+      hash: file.hash && filePath === blobPath(file.hash) ? file.hash : null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+async function findMediaFile(req, res, types) {
+  const file = await prisma.file.findUnique({
+    where: { id: req.params.id },
+    include: { artist: true },
+  });
+  if (!file) {
+    res.status(404).json({ error: "File not found" });
+    return null;
+  }
+  if (!types.includes(file.type)) {
+    res.status(400).json({ error: `File is not a ${types.join(" or ")}` });
+    return null;
+  }
+  if (!fs.existsSync(resolveFilePath(file))) {
+    res.status(404).json({ error: "File not found on the disk" });
+    return null;
+  }
+  return file;
+}
+
+/** Cached thumbnail, `size` is small, medium or large and `format` webp or avif */
+export const getFileThumbnail = async (req, res) => {
+  try {
+    const size = req.query.size || DEFAULT_THUMBNAIL_SIZE;
+    const format = req.query.format || "webp";
+    if (!Object.hasOwn(THUMBNAIL_SIZES, size)) {
+      return res.status(400).json({
+        error: `Invalid size: ${size}, expected one of ${Object.keys(
+          THUMBNAIL_SIZES,
+        ).join(", ")}`,
       });
-    } else if (fileType === "video") {
-      const cacheKey = `video:meta:${file.id}`;
-      let meta;
-
-      const cachedMeta = await redisClient.get(cacheKey);
-
-      if (cachedMeta) {
-        meta = JSON.parse(cachedMeta);
-      } else {
-        const stat = fs.statSync(filePath);
-        meta = {
-          filePath: filePath,
-          fileSize: stat.size,
-        };
-        await redisClient.set(cacheKey, JSON.stringify(meta));
-      }
+    }
+    if (!THUMBNAIL_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Invalid format: ${format}, expected one of ${THUMBNAIL_FORMATS.join(", ")}`,
+      });
+    }
 
-      const range = req.headers.range;
-      if (range) {
-        const parts = range.replace(/bytes=/, "").split("-");
-        const start = parseInt(parts[0], 10);
-        const end = parts[1] ? parseInt(parts[1], 10) : meta.fileSize - 1;
+    const file = await findMediaFile(req, res, ["image", "video"]);
+    if (!file) return;
 
-        if (start >= meta.fileSize) {
-          return res.status(416).send("Requested range not satisfiable");
-        }
+    res.sendFile(await getThumbnail(file, size, format), {
+      maxAge: "30d",
+      immutable: true,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
 
-        const chunksize = end - start + 1;
-        const fileStream = fs.createReadStream(meta.filePath, { start, end });
-        const head = {
-          "Content-Range": `bytes ${start}-${end}/${meta.fileSize}`,
-          "Accept-Ranges": "bytes",
-          "Content-Length": chunksize,
-          "Content-Type": fileMimeByFilename(file.filename),
-        };
-        res.writeHead(206, head);
-        return fileStream.pipe(res);
-      } else {
-        const head = {
-          "Content-Length": meta.fileSize,
-          "Content-Type": fileMimeByFilename(file.filename),
-          "Accept-Ranges": "bytes",
-        };
-        res.writeHead(200, head);
-        fs.createReadStream(meta.filePath).pipe(res);
-      }
-    } else return res.status(500).json({ error: "File type not supported" });
+/** Animated preview of a video */
+export const getFilePreview = async (req, res) => {
+  try {
+    const file = await findMediaFile(req, res, ["video"]);
+    if (!file) return;
+
+    res.sendFile(await getPreview(file), { maxAge: "30d", immutable: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
-export const getVideoThumbnail = async (req, res) => {
+/** Sprite sheet of a video, its grid is described by `/sprite/info` */
+export const getFileSprite = async (req, res) => {
   try {
-    const file = await prisma.file.findUnique({
-      where: {
-        id: req.params.id,
-      },
-      include: {
-        artist: true,
-      },
-    });
-    if (!file) {
-      return res.status(404).json({ error: "File not found" });
-    }
+    const file = await findMediaFile(req, res, ["video"]);
+    if (!file) return;
+
+    const sprite = await getSprite(file);
+    res.sendFile(sprite.path, { maxAge: "30d", immutable: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getFileSpriteInfo = async (req, res) => {
+  try {
+    const file = await findMediaFile(req, res, ["video"]);
+    if (!file) return;
 
-    const fileType = fileTypeByFilename(file.filename);
-    if (fileType !== "video") {
-      return res.status(400).json({ error: "File is not a video" });
+    const sprite = await getSprite(file);
+    res.status(200).json(sprite.info);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Entries of a zip, rar or 7z archive, with the id of the `File` each one was
+ * extracted to and why the others were skipped.
+ */
+export const getFileEntries = async (req, res) => {
+  try {
+    const file = await findMediaFile(req, res, ["archive"]);
+    if (!file) return;
+    if (!isExtractable(file)) {
+      return res
+        .status(400)
+        .json({ error: "Only zip, rar and 7z archives can be listed" });
     }
 
-    const thumbnailPath = path.join(
-      process.env.DOWNLOAD_DIR,
-      file.artist.identifier,
-      `${file.filename}.thumbnail.jpg`,
-    );
-    const videoPath = path.join(
-      process.env.DOWNLOAD_DIR,
-      file.artist.identifier,
-      file.filename,
+    const [entries, extracted] = await Promise.all([
+      listArchive(file),
+      prisma.file.findMany({
+        where: { parentId: file.id },
+        select: { id: true, archivePath: true },
+      }),
+    ]);
+    const fileIds = new Map(
+      extracted.map((entry) => [entry.archivePath, entry.id]),
     );
 
-    if (fs.existsSync(thumbnailPath)) {
-      return res.sendFile(thumbnailPath);
+    res.status(200).json({
+      id: file.id,
+      filename: file.filename,
+      extractedAt: file.extractedAt,
+      entries: entries.map(({ name, ...entry }) => ({
+        ...entry,
+        path: entry.path ?? name,
+        fileId: fileIds.get(entry.path) ?? null,
+      })),
+    });
+  } catch (error) {
+    if (error instanceof ArchiveToolMissingError) {
+      return res.status(503).json({ error: error.message });
     }
+    res.status(500).json({ error: error.message });
+  }
+};
 
-    const ffmpegCmd = `ffmpeg -ss 00:00:01 -i "${videoPath}" -frames:v 1 -q:v 2 "${thumbnailPath}"`;
-    exec(ffmpegCmd, (error) => {
-      if (error) {
-        console.error(`Failed to generate thumbnail: ${error.message}`);
-        return res.status(500).json({ error: "Failed to generate thumbnail" });
-      }
-      return res.sendFile(thumbnailPath);
+/**
+ * URL of an HLS resource relative to the playlist. Players that opened a
+ * signed URL get every URL signed until the same expiry.
+ */
+function hlsUri(req, fileId, relativePath) {
+  if (!req.signedUrl) return relativePath;
+  const ttl = parseInt(req.query.expires, 10) - Math.floor(Date.now() / 1000);
+  return signUrl(`${req.baseUrl}/${fileId}/hls/${relativePath}`, ttl).url;
+}
+
+function sendHlsError(res, error) {
+  if (error instanceof HlsNotFoundError) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error instanceof TranscodeBusyError) {
+    res.setHeader("Retry-After", "10");
+    return res.status(503).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+export const getFileHlsMaster = async (req, res) => {
+  try {
+    const file = await findMediaFile(req, res, ["video"]);
+    if (!file) return;
+
+    const playlist = await masterPlaylist(file, (relativePath) =>
+      hlsUri(req, file.id, relativePath),
+    );
+    res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
+    res.setHeader("Cache-Control", "no-cache");
+    res.status(200).send(playlist);
+  } catch (error) {
+    sendHlsError(res, error);
+  }
+};
+
+/** Rendition playlist, the transcode starts on the first request */
+export const getFileHlsPlaylist = async (req, res) => {
+  try {
+    const file = await findMediaFile(req, res, ["video"]);
+    if (!file) return;
+
+    const { rendition } = req.params;
+    const playlist = (await readRenditionPlaylist(file, rendition))
+      .split("\n")
+      .map((line) =>
+        line && !line.startsWith("#")
+          ? hlsUri(req, file.id, `${rendition}/${line}`)
+          : line,
+      )
+      .join("\n");
+
+    res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
+    // Playlists grow while the transcode runs
+    res.setHeader("Cache-Control", "no-cache");
+    res.status(200).send(playlist);
+  } catch (error) {
+    sendHlsError(res, error);
+  }
+};
+
+export const getFileHlsSegment = async (req, res) => {
+  try {
+    const file = await findMediaFile(req, res, ["video"]);
+    if (!file) return;
+
+    const segmentPath = await getSegment(
+      file,
+      req.params.rendition,
+      req.params.segment,
+    );
+    res.sendFile(segmentPath, {
+      headers: { "Content-Type": "video/mp2t" },
+      maxAge: "30d",
+      immutable: true,
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendHlsError(res, error);
   }
 };
 
@@ -0,0 +1,141 @@
+import prisma from "../../lib/prisma.js";
+import { jobQueue, JOB_PRIORITY, JOB_TYPES } from "../../lib/job-queue.js";
+import {
+  cancelArtistJobs as cancelJobsOfArtist,
+  enqueueArtistScrape,
+  enqueueMetadataBackfill,
+} from "../../lib/jobs.js";
+
+export const getJobs = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.status) where.status = { in: req.query.status.split(",") };
+    if (req.query.type) where.type = req.query.type;
+    if (req.query.artistId)
+      where.payload = { path: ["artistId"], equals: req.query.artistId };
+
+    const [jobs, total] = await Promise.all([
+      prisma.job.findMany({
+        where,
+        orderBy: [{ createdAt: "desc" }],
+        skip: parseInt(req.query.offset, 10) || 0,
+        take: parseInt(req.query.limit, 10) || 50,
+      }),
+      prisma.job.count({ where }),
+    ]);
+    res.status(200).json({ jobs, total });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getJobsSummary = async (req, res) => {
+  try {
+    const groups = await prisma.job.groupBy({
+      by: ["type", "status"],
+      _count: { _all: true },
+    });
+
+    const summary = {};
+    for (const group of groups) {
+      summary[group.type] ??= {};
+      summary[group.type][group.status] = group._count._all;
+    }
+    res.status(200).json(summary);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getJob = async (req, res) => {
+  try {
+    const job = await prisma.job.findUnique({ where: { id: req.params.id } });
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.status(200).json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const enqueueJob = async (req, res) => {
+  try {
+    const artist = await prisma.artist.findUnique({
+      where: { id: req.body?.artistId || "" },
+    });
+    if (!artist) {
+      return res.status(404).json({ error: "Artist not found" });
+    }
+
+    const job = await enqueueArtistScrape(artist.id, {
+      priority: Number.isInteger(req.body?.priority)
+        ? req.body.priority
+        : JOB_PRIORITY.HIGH,
+      full: req.body?.full === true,
+    });
+    res.status(201).json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const enqueueMetadataJob = async (req, res) => {
+  try {
+    const job = await enqueueMetadataBackfill();
+    res.status(201).json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const cancelJob = async (req, res) => {
+  try {
+    const job = await jobQueue.cancel(req.params.id);
+    if (!job) {
+      return res
+        .status(400)
+        .json({ error: "Job not found or not queued or running" });
+    }
+    res.status(200).json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const cancelArtistJobs = async (req, res) => {
+  try {
+    const cancelled = await cancelJobsOfArtist(req.params.artistId);
+    res.status(200).json({ cancelled });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const retryJob = async (req, res) => {
+  try {
+    const job = await jobQueue.retry(req.params.id);
+    if (!job) {
+      return res
+        .status(400)
+        .json({ error: "Job not found or not failed or cancelled" });
+    }
+    res.status(200).json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const retryFailedJobs = async (req, res) => {
+  try {
+    const type = req.body?.type || JOB_TYPES.FILE_DOWNLOAD;
+    if (!Object.values(JOB_TYPES).includes(type)) {
+      return res.status(400).json({ error: "Unknown job type" });
+    }
+
+    const { count } = await jobQueue.retryFailed(type);
+    res.status(200).json({ retried: count });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,11 @@
+import { scheduler } from "../../lib/scheduler.js";
+import { parseLimit } from "../../lib/pagination.js";
+
+export const getSchedule = async (req, res) => {
+  try {
+    const upcoming = await scheduler.upcoming(parseLimit(req.query.limit, 50));
+    res.status(200).json(upcoming);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,14 @@
+import { parseSearchQuery, search as searchFiles } from "../../lib/search.js";
+import { QueryError } from "../../lib/pagination.js";
+
+export const search = async (req, res) => {
+  try {
+    const params = parseSearchQuery(req.query);
+    res.status(200).json(await searchFiles(params));
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,49 @@
+import { findApiKey, hasRole, verifySignedUrl } from "../../lib/api-keys.js";
+
+function readKey(req) {
+  const authorization = req.headers.authorization || "";
+  if (authorization.startsWith("Bearer ")) return authorization.slice(7);
+  return req.headers["x-api-key"] || null;
+}
+
+/**
+ * Lets through requests carrying a valid API key, in the `Authorization:
+ * Bearer` or `X-API-Key` header, and GET requests on a signed URL.
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    const key = readKey(req);
+    if (key) {
+      const apiKey = await findApiKey(key);
+      if (!apiKey) {
+        return res.status(401).json({ error: "Invalid API key" });
+      }
+      req.apiKey = apiKey;
+      return next();
+    }
+
+    if (
+      (req.method === "GET" || req.method === "HEAD") &&
+      verifySignedUrl(
+        `${req.baseUrl}${req.path}`,
+        req.query.expires,
+        req.query.signature,
+      )
+    ) {
+      req.signedUrl = true;
+      return next();
+    }
+
+    res.status(401).json({ error: "Missing API key" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/** Only lets through keys with at least `role`, use after `authenticate` */
+export const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.apiKey, role)) {
+    return res.status(403).json({ error: `Requires the ${role} role` });
+  }
+  next();
+};
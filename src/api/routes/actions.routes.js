@@ -1,8 +1,21 @@
 import express from "express";
-import { validate } from "../controllers/actions.controllers.js";
+import {
+  getReconcileReport,
+  reconcile,
+  seed,
+  validate,
+} from "../controllers/actions.controllers.js";
+import { requireRole } from "../middlewares/auth.js";
+import { ROLES } from "../../lib/api-keys.js";
 
 const router = express.Router();
 
+// Every action starts work on the server
+router.use(requireRole(ROLES.ADMIN));
+
 router.get("/validate", validate);
+router.post("/seed", seed);
+router.get("/reconcile", getReconcileReport);
+router.post("/reconcile", reconcile);
 
 export default router;
@@ -1,14 +1,32 @@
 import express from "express";
 import {
+  createArtist,
+  exportArtistList,
   getArtist,
+  getArtistPolicy,
   getArtists,
+  importArtistList,
+  removeArtist,
+  resetArtistPolicy,
   setArtistException,
+  setArtistPolicy,
+  updateArtist,
 } from "../controllers/artist.controllers.js";
+import { requireRole } from "../middlewares/auth.js";
+import { ROLES } from "../../lib/api-keys.js";
 
 const router = express.Router();
 
 router.get("/", getArtists);
+router.post("/", requireRole(ROLES.ADMIN), createArtist);
+router.get("/export", requireRole(ROLES.ADMIN), exportArtistList);
+router.post("/import", requireRole(ROLES.ADMIN), importArtistList);
 router.get("/:id", getArtist);
-router.post("/:id/exception", setArtistException);
+router.patch("/:id", requireRole(ROLES.ADMIN), updateArtist);
+router.delete("/:id", requireRole(ROLES.ADMIN), removeArtist);
+router.post("/:id/exception", requireRole(ROLES.ADMIN), setArtistException);
+router.get("/:id/policy", getArtistPolicy);
+router.patch("/:id/policy", requireRole(ROLES.ADMIN), setArtistPolicy);
+router.delete("/:id/policy", requireRole(ROLES.ADMIN), resetArtistPolicy);
 
 export default router;
@@ -3,16 +3,34 @@ import {
   getFileData,
   getFileStream,
   setFileMetadata,
-  getVideoThumbnail,
+  getFileThumbnail,
+  getFilePreview,
+  getFileSprite,
+  getFileSpriteInfo,
+  getFileHlsMaster,
+  getFileHlsPlaylist,
+  getFileHlsSegment,
+  getFileEntries,
   getFiles,
+  getFileStreamUrl,
 } from "../controllers/files.controllers.js";
+import { requireRole } from "../middlewares/auth.js";
+import { ROLES } from "../../lib/api-keys.js";
 
 const router = express.Router();
 
 router.get("/", getFiles);
 router.get("/:id", getFileData);
 router.get("/:id/stream", getFileStream);
-router.post("/:id/metadata", setFileMetadata);
-router.get("/:id/thumbnail", getVideoThumbnail);
+router.get("/:id/stream-url", getFileStreamUrl);
+router.post("/:id/metadata", requireRole(ROLES.ADMIN), setFileMetadata);
+router.get("/:id/thumbnail", getFileThumbnail);
+router.get("/:id/preview", getFilePreview);
+router.get("/:id/sprite", getFileSprite);
+router.get("/:id/sprite/info", getFileSpriteInfo);
+router.get("/:id/hls/master.m3u8", getFileHlsMaster);
+router.get("/:id/hls/:rendition/index.m3u8", getFileHlsPlaylist);
+router.get("/:id/hls/:rendition/:segment", getFileHlsSegment);
+router.get("/:id/entries", getFileEntries);
 
 export default router;
@@ -4,13 +4,20 @@ import artistRoutes from "./artist.routes.js";
 import actionsRoutes from "./actions.routes.js";
 import filesRoutes from "./files.routes.js";
 import progressRoutes from "./progress.js";
+import jobsRoutes from "./jobs.routes.js";
+import searchRoutes from "./search.routes.js";
+import scheduleRoutes from "./schedule.routes.js";
+import { authenticate } from "../middlewares/auth.js";
 
 const router = new express.Router();
 
-router.use("/hello-world", helloWorldRoutes);
-router.use("/artists", artistRoutes);
-router.use("/actions", actionsRoutes);
-router.use("/files", filesRoutes);
-router.use("/progress", progressRoutes);
+router.use("/hello-world", authenticate, helloWorldRoutes);
+router.use("/artists", authenticate, artistRoutes);
+router.use("/actions", authenticate, actionsRoutes);
+router.use("/files", authenticate, filesRoutes);
+router.use("/progress", authenticate, progressRoutes);
+router.use("/jobs", authenticate, jobsRoutes);
+router.use("/search", authenticate, searchRoutes);
+router.use("/schedule", authenticate, scheduleRoutes);
 
 export default router;
@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  cancelArtistJobs,
+  cancelJob,
+  enqueueJob,
+  enqueueMetadataJob,
+  getJob,
+  getJobs,
+  getJobsSummary,
+  retryFailedJobs,
+  retryJob,
+} from "../controllers/jobs.controllers.js";
+import { requireRole } from "../middlewares/auth.js";
+import { ROLES } from "../../lib/api-keys.js";
+
+const router = express.Router();
+
+router.get("/", getJobs);
+router.post("/", requireRole(ROLES.ADMIN), enqueueJob);
+router.get("/summary", getJobsSummary);
+router.post("/retry-failed", requireRole(ROLES.ADMIN), retryFailedJobs);
+router.post("/metadata-backfill", requireRole(ROLES.ADMIN), enqueueMetadataJob);
+router.post(
+  "/artists/:artistId/cancel",
+  requireRole(ROLES.ADMIN),
+  cancelArtistJobs,
+);
+router.get("/:id", getJob);
+router.post("/:id/cancel", requireRole(ROLES.ADMIN), cancelJob);
+router.post("/:id/retry", requireRole(ROLES.ADMIN), retryJob);
+
+export default router;
@@ -0,0 +1,8 @@
+import express from "express";
+import { getSchedule } from "../controllers/schedule.controllers.js";
+
+const router = express.Router();
+
+router.get("/", getSchedule);
+
+export default router;
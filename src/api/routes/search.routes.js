@@ -0,0 +1,8 @@
+import express from "express";
+import { search } from "../controllers/search.controllers.js";
+
+const router = express.Router();
+
+router.get("/", search);
+
+export default router;
@@ -8,22 +8,50 @@ dotenv.config();
 const app = express();
 const PORT = process.env.API_PORT || 3000;
 
+// Comma separated list of origins allowed to call the API, "*" for any
+const corsOrigins = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+if (corsOrigins.length === 0) {
+  console.warn(
+    "CORS_ORIGINS is empty, browsers on other origins (like the dashboard) can not call the API"
+  );
+}
+
 // Middlewares
 app.use(
   cors({
-    origin: "*",
+    origin: corsOrigins.includes("*") ? "*" : corsOrigins,
+    allowedHeaders: ["Authorization", "X-API-Key", "Content-Type", "Range"],
+    exposedHeaders: ["Content-Range", "Accept-Ranges", "Content-Length"],
   })
 );
-app.use(express.json());
+// Bulk artist imports send whole exports
+app.use(express.json({ limit: "10mb" }));
 
 // Api Routes
 app.use("/api", routes);
 
+let server = null;
+
 // Start Server
 const startApiServer = () => {
-  app.listen(PORT, () => {
+  server = app.listen(PORT, () => {
     console.log(`🚀 API Server is running on http://localhost:${PORT}`);
   });
+  return server;
+};
+
+// Stops accepting connections, open streams are cut by closeApiConnections
+const stopApiServer = () => {
+  if (!server) return;
+  server.close();
+  server.closeIdleConnections();
+};
+
+const closeApiConnections = () => {
+  server?.closeAllConnections();
 };
 
-export { startApiServer };
+export { startApiServer, stopApiServer, closeApiConnections };
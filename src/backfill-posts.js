@@ -0,0 +1,95 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import prisma from "./lib/prisma.js";
+import redis from "./lib/redis.js";
+import { getPostAttachments, toPostMetadata } from "./lib/coomer-api.js";
+
+const BATCH_SIZE = 200;
+
+/**
+ * Fills the metadata of posts scraped before it was stored, and the position
+ * of their files, from post contents cached in Redis. Nothing is fetched from
+ * the API, posts missing from the cache are left for the next scrape.
+ *
+ * Usage: node src/backfill-posts.js [--dry-run]
+ */
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  const stats = {
+    posts: 0,
+    files: 0,
+    notCached: 0,
+  };
+
+  let cursor = null;
+  while (true) {
+    const posts = await prisma.post.findMany({
+      // Backfilled rows leave the filter, so page by id instead of a cursor
+      where: { publishedAt: null, ...(cursor ? { id: { gt: cursor } } : {}) },
+      include: { artist: true, files: true },
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+    });
+    if (posts.length === 0) break;
+    cursor = posts[posts.length - 1].id;
+
+    for (const post of posts) {
+      try {
+        const cached = await redis.get(
+          `post:${post.artist.url}:${post.identifier}`,
+        );
+        if (!cached) {
+          stats.notCached++;
+          continue;
+        }
+
+        const postContent = JSON.parse(cached);
+        const attachments = getPostAttachments(postContent);
+        stats.posts++;
+
+        if (!dryRun) {
+          await prisma.post.update({
+            where: { id: post.id },
+            data: toPostMetadata(postContent),
+          });
+        }
+
+        for (const file of post.files) {
+          const position = attachments.findIndex(
+            (attachment) => attachment.name === file.filename,
+          );
+          if (position === -1 || file.position === position) continue;
+
+          stats.files++;
+          if (!dryRun) {
+            await prisma.file.update({
+              where: { id: file.id },
+              data: { position },
+            });
+          }
+        }
+      } catch (e) {
+        console.error(
+          `Failed to backfill post ${post.id}, error: ${
+            e.message || "no error message"
+          }`,
+        );
+      }
+    }
+  }
+
+  console.log(dryRun ? `\nDry run, nothing was changed:` : `\nDone:`);
+  console.log(`  Posts backfilled: ${stats.posts}`);
+  console.log(`  File positions set: ${stats.files}`);
+  console.log(`  Posts not in the cache: ${stats.notCached}`);
+
+  await prisma.$disconnect();
+  await redis.quit();
+}
+
+main().catch((e) => {
+  console.error("Fatal error:", e);
+  process.exit(1);
+});
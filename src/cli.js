@@ -1,59 +1,127 @@
 import dotenv from "dotenv";
 dotenv.config();
 
-import path from "path";
-import fs from "fs";
-import {
-  getAllArtistPosts,
-  getArtistProfile,
-  getPostContent,
-} from "./lib/coomer-api.js";
-import { downloadFile } from "./lib/downloader.js";
-import pLimit from "p-limit";
+import { getArtistProfile } from "./lib/coomer-api.js";
+import { createPipeline } from "./lib/pipeline.js";
+import { parseArtistUrl as parseSiteArtistUrl } from "./lib/sites.js";
 import prisma from "./lib/prisma.js";
 import { getProgressManager } from "./lib/progress-manager.js";
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  ROLES,
+} from "./lib/api-keys.js";
+import { reconciler } from "./lib/reconcile.js";
 
 function parseArtistUrl(url) {
-  // Handle URL format: https://coomer.st/{service}/user/{username}
+  // Handle URL format: https://{site}/{service}/user/{username}
   // Example: https://coomer.st/onlyfans/user/thecatbnny
+  const { site, service, id, url: artistUrl } = parseSiteArtistUrl(url);
 
-  let cleanUrl = url.trim();
-
-  // Remove protocol if present
-  cleanUrl = cleanUrl.replace(/^https?:\/\//, "");
-  // Remove trailing slash
-  cleanUrl = cleanUrl.replace(/\/$/, "");
-  // Remove leading slash
-  cleanUrl = cleanUrl.replace(/^\//, "");
-
-  const parts = cleanUrl.split("/");
+  return {
+    site,
+    service,
+    username: id,
+    url: artistUrl,
+    identifier: `${service}_${id}`,
+  };
+}
 
-  // Format: coomer.st/{service}/user/{username}
-  if (parts.length < 4) {
-    throw new Error(
-      `Invalid artist URL: ${url}. Expected format: https://coomer.st/{service}/user/{username}`,
+/**
+ * Manages API keys:
+ *   node cli.js keys create <name> [--role=viewer|admin]
+ *   node cli.js keys list
+ *   node cli.js keys revoke <id>
+ */
+async function keys(args) {
+  const [command, value] = args.filter((arg) => !arg.startsWith("--"));
+  const roleArg = args.find((arg) => arg.startsWith("--role="));
+
+  if (command === "create" && value) {
+    const { apiKey, key } = await createApiKey(
+      value,
+      roleArg ? roleArg.split("=")[1] : ROLES.VIEWER,
+    );
+    console.log(`Created ${apiKey.role} key ${apiKey.name} (${apiKey.id})`);
+    console.log(`  Key: ${key}`);
+    console.log(`  It is not stored, keep it somewhere safe.`);
+  } else if (command === "list") {
+    for (const apiKey of await listApiKeys()) {
+      console.log(
+        `${apiKey.id}  ${apiKey.prefix}...  ${apiKey.role}  ${apiKey.name}${
+          apiKey.revokedAt ? "  (revoked)" : ""
+        }`,
+      );
+    }
+  } else if (command === "revoke" && value) {
+    const revoked = await revokeApiKey(value);
+    console.log(revoked ? `Revoked key ${value}` : `No active key ${value}`);
+  } else {
+    console.error(
+      "Usage: node cli.js keys create <name> [--role=viewer|admin]",
     );
+    console.error("       node cli.js keys list");
+    console.error("       node cli.js keys revoke <id>");
+    process.exit(1);
   }
 
-  const service = parts[1];
-  const username = parts[3]; // parts[3] is the username after "/user/"
+  // The Redis client would keep the process alive
+  process.exit(0);
+}
 
-  return {
-    service,
-    username,
-    url: `https://coomer.st/${service}/user/${username}`,
-    identifier: `${service}_${username}`,
+/**
+ * Compares the download folder with the database:
+ *   node cli.js reconcile [--apply] [--remove-missing]
+ * Nothing changes without --apply, the report shows what would.
+ */
+async function reconcile(args) {
+  const report = await reconciler.run({
+    dryRun: !args.includes("--apply"),
+    removeMissing: args.includes("--remove-missing"),
+  });
+
+  const print = (label, { count, samples }) => {
+    console.log(`${label}: ${count}`);
+    for (const sample of samples.slice(0, 20)) {
+      console.log(
+        `  ${typeof sample === "string" ? sample : JSON.stringify(sample)}`,
+      );
+    }
+    if (count > 20) console.log(`  ...and ${count - 20} more`);
   };
+
+  if (report.dryRun) console.log("Dry run, nothing was changed.\n");
+  console.log(`Scanned files: ${report.scannedFiles}`);
+  print("Adopted orphan files", report.adopted);
+  print("Recent files left for the downloads", report.recent);
+  print("Orphan files without a known post", report.unmatched);
+  print(
+    report.removeMissing
+      ? "Removed rows with a missing file"
+      : "Rows with a missing file",
+    report.missing,
+  );
+  print("Orphan thumbnails", report.orphanThumbnails);
+  print("Unfinished downloads", report.leftovers);
+
+  process.exit(0);
 }
 
 async function main() {
   const args = process.argv.slice(2);
+  if (args[0] === "keys") return keys(args.slice(1));
+  if (args[0] === "reconcile") return reconcile(args.slice(1));
+
   const urlArg = args.find((arg) => !arg.startsWith("--"));
 
   if (!urlArg) {
-    console.error("Usage: node cli.js <artist_url>");
+    console.error("Usage: node cli.js <artist_url> [--incremental]");
     console.error(
-      "  artist_url: URL of the creator to download (e.g., https://coomer.st/onlyfans/username)",
+      "  artist_url: URL of the creator to download (e.g., https://coomer.st/onlyfans/user/username or https://kemono.su/patreon/user/12345)",
+    );
+    console.error(
+      "  --incremental: only download posts newer than the last scrape",
     );
     process.exit(1);
   }
@@ -61,6 +129,7 @@ async function main() {
   const parsed = parseArtistUrl(urlArg);
 
   console.log(`Parsed artist URL:`);
+  console.log(`  Site: ${parsed.site}`);
   console.log(`  Service: ${parsed.service}`);
   console.log(`  Username: ${parsed.username}`);
   console.log(`  URL: ${parsed.url}`);
@@ -93,6 +162,7 @@ async function main() {
         url: parsed.url,
         name: artistProfile.name || parsed.username,
         identifier: parsed.identifier,
+        site: parsed.site,
         service: parsed.service,
         isException: true, // Download all posts for CLI usage
       },
@@ -101,172 +171,42 @@ async function main() {
     console.log(`Created artist: ${artist.name} (${artist.id})`);
   }
 
-  // Fetch artist profile (needed for post_count)
-  const artistProfile = await getArtistProfile(artist.url);
-
-  // Fetch ALL posts (no limit)
-  const posts = await getAllArtistPosts(artist.url, artistProfile.post_count);
-
-  console.log(`\nFound ${posts.length} posts to download.`);
-
-  // Start artist progress tracking
-  const artistBarId = progressManager.startArtist(
-    artist.id,
-    artist.name,
-    posts.length,
-  );
-
-  const postLimit = pLimit(1);
-
-  let totalFilesCount = 0;
-  let completedPosts = 0;
-  let failedPosts = 0;
-
-  const postTasks = posts.map((post) =>
-    postLimit(async () => {
-      try {
-        const postContent = await getPostContent(artist.url, post.id);
-
-        let attachments = [];
-        if (postContent?.post?.attachments)
-          attachments = [...attachments, ...postContent.post.attachments];
-        if (postContent?.videos)
-          attachments = [...attachments, ...postContent.videos];
-
-        // Start post progress tracking
-        const postBarId = progressManager.startPost(
-          post.id,
-          `Post ${post.id.substring(0, 8)}...`,
-          attachments.length,
-        );
-
-        let postDB = await prisma.post.findFirst({
-          where: {
-            identifier: post.id,
-            artistId: artist.id,
-          },
-        });
-
-        if (!postDB)
-          postDB = await prisma.post.create({
-            data: {
-              identifier: post.id,
-              artistId: artist.id,
-            },
-          });
-
-        const parsedAttachments = attachments.map((attachment) => {
-          return {
-            url: `https://coomer.st/data${attachment.path}`,
-            path: "/data" + attachment.path,
-            filename: attachment.name,
-            outputPath: path.join(process.env.DOWNLOAD_DIR, artist.identifier),
-            outputFilename: attachment.name,
-            outputFilePath: path.join(
-              process.env.DOWNLOAD_DIR,
-              artist.identifier,
-              attachment.name,
-            ),
-            artistIdentifier: artist.identifier,
-          };
-        });
-
-        const attachmentLimit = pLimit(2);
-
-        let completedAttachments = 0;
-        let failedAttachments = 0;
-
-        const attachmentTasks = parsedAttachments.map((attachment) =>
-          attachmentLimit(async () => {
-            let fileBarId = null;
-            try {
-              // Check if file already exists
-              if (fs.existsSync(attachment.outputFilePath)) {
-                completedAttachments++;
-                progressManager.updatePost(postBarId, completedAttachments);
-                return;
-              }
-
-              let fileDB = await prisma.file.findFirst({
-                where: {
-                  filename: attachment.filename,
-                  postId: postDB.id,
-                  artistId: artist.id,
-                },
-              });
-
-              if (fileDB) {
-                completedAttachments++;
-                progressManager.updatePost(postBarId, completedAttachments);
-                return;
-              }
-
-              // Start file progress tracking
-              fileBarId = progressManager.startFile(
-                `${post.id}-${attachment.filename}`,
-                attachment.filename,
-                0,
-              );
-
-              await downloadFile(attachment, 0, fileBarId);
-
-              await prisma.file.create({
-                data: {
-                  url: attachment.url,
-                  filename: attachment.filename,
-                  postId: postDB.id,
-                  artistId: artist.id,
-                },
-              });
-
-              totalFilesCount++;
-              completedAttachments++;
-              progressManager.updatePost(postBarId, completedAttachments);
-            } catch (e) {
-              failedAttachments++;
-              completedAttachments++;
-              progressManager.updatePost(postBarId, completedAttachments);
-              progressManager.log(
-                `Failed to download attachment ${
-                  attachment.filename
-                }, error: ${e.message || "no error message"}`,
-                "error",
-              );
-            }
-          }),
-        );
-
-        await Promise.all(attachmentTasks);
-
-        // Complete post progress
-        progressManager.completePost(postBarId);
-        completedPosts++;
-        progressManager.updateArtist(artistBarId, completedPosts);
-      } catch (e) {
-        failedPosts++;
-        completedPosts++;
-        progressManager.updateArtist(artistBarId, completedPosts);
-        progressManager.log(
-          `Failed to process post ${post.id}, error: ${
-            e.message || "no error message"
-          }`,
-          "error",
-        );
-      }
-    }),
-  );
+  // Download ALL posts (no limit), one post at a time
+  const pipeline = createPipeline({
+    postConcurrency: 1,
+    incremental: args.includes("--incremental"),
+  });
 
-  await Promise.all(postTasks);
+  pipeline.on("artist:start", ({ posts }) => {
+    console.log(`\nFound ${posts.length} posts to download.`);
+  });
+  pipeline.on("file:error", ({ attachment, error }) => {
+    progressManager.log(
+      `Failed to download attachment ${
+        attachment.filename
+      }, error: ${error.message || "no error message"}`,
+      "error",
+    );
+  });
+  pipeline.on("post:error", ({ post, error }) => {
+    progressManager.log(
+      `Failed to process post ${post.id}, error: ${
+        error.message || "no error message"
+      }`,
+      "error",
+    );
+  });
 
-  // Complete artist progress
-  progressManager.completeArtist(artistBarId);
+  const result = await pipeline.run({ type: "artist", artist });
 
   // Show final statistics
   const stats = progressManager.getStats();
   console.log(`\nDownload complete!`);
-  console.log(`  Posts processed: ${completedPosts}/${posts.length}`);
-  console.log(`  Posts failed: ${failedPosts}`);
-  console.log(`  Total files downloaded: ${totalFilesCount}`);
+  console.log(
+    `  Posts processed: ${result.posts - result.failedPosts}/${result.posts}`,
+  );
+  console.log(`  Posts failed: ${result.failedPosts}`);
+  console.log(`  Total files downloaded: ${result.files}`);
   console.log(`  Completed files: ${stats.completedFiles}`);
   console.log(`  Failed files: ${stats.failedFiles}`);
   console.log(`  Skipped files: ${stats.skippedFiles}`);
@@ -0,0 +1,137 @@
+import crypto from "crypto";
+import prisma from "./prisma.js";
+
+export const ROLES = {
+  VIEWER: "viewer",
+  ADMIN: "admin",
+};
+
+const ROLE_LEVELS = {
+  [ROLES.VIEWER]: 0,
+  [ROLES.ADMIN]: 1,
+};
+
+const KEY_PREFIX = "cs_";
+const LAST_USED_PRECISION = 1000 * 60;
+const DEFAULT_SIGNED_URL_TTL = 60 * 60;
+// Longest lifetime a caller may ask for, in seconds
+const MAX_SIGNED_URL_TTL =
+  parseInt(process.env.SIGNED_URL_MAX_TTL, 10) || 60 * 60 * 24;
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+export function hasRole(apiKey, role) {
+  return (ROLE_LEVELS[apiKey?.role] ?? -1) >= ROLE_LEVELS[role];
+}
+
+/**
+ * Creates an API key. Only its hash is stored, the returned `key` is the one
+ * chance to read it.
+ */
+export async function createApiKey(name, role = ROLES.VIEWER) {
+  if (!(role in ROLE_LEVELS)) {
+    throw new Error(
+      `Unknown role: ${role}, expected one of ${Object.keys(ROLE_LEVELS).join(", ")}`,
+    );
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      name,
+      role,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashKey(key),
+    },
+  });
+
+  return { apiKey, key };
+}
+
+export function listApiKeys() {
+  return prisma.apiKey.findMany({
+    select: {
+      id: true,
+      name: true,
+      role: true,
+      prefix: true,
+      lastUsedAt: true,
+      revokedAt: true,
+      createdAt: true,
+    },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+export async function revokeApiKey(id) {
+  const revoked = await prisma.apiKey.updateMany({
+    where: { id, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return revoked.count > 0;
+}
+
+/** Resolves with the active key matching `key`, or null */
+export async function findApiKey(key) {
+  if (!key?.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashKey(key) },
+  });
+  if (!apiKey || apiKey.revokedAt) return null;
+
+  // Writing on every request would be wasteful, a minute is precise enough
+  if (
+    !apiKey.lastUsedAt ||
+    Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_PRECISION
+  ) {
+    await prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: new Date() },
+    });
+  }
+
+  return apiKey;
+}
+
+function urlSignature(pathname, expires) {
+  if (!process.env.SIGNED_URL_SECRET) {
+    throw new Error("SIGNED_URL_SECRET is not set");
+  }
+  return crypto
+    .createHmac("sha256", process.env.SIGNED_URL_SECRET)
+    .update(`${pathname}:${expires}`)
+    .digest("base64url");
+}
+
+/**
+ * Signs a GET path so it can be fetched without an API key until it expires,
+ * e.g. as the `src` of a `<video>` tag. `ttl` is capped to
+ * `SIGNED_URL_MAX_TTL`.
+ */
+export function signUrl(pathname, ttl = null) {
+  const seconds = Math.min(
+    ttl || parseInt(process.env.SIGNED_URL_TTL, 10) || DEFAULT_SIGNED_URL_TTL,
+    MAX_SIGNED_URL_TTL,
+  );
+  const expires = Math.floor(Date.now() / 1000) + seconds;
+
+  return {
+    url: `${pathname}?expires=${expires}&signature=${urlSignature(pathname, expires)}`,
+    expiresAt: new Date(expires * 1000),
+  };
+}
+
+export function verifySignedUrl(pathname, expires, signature) {
+  if (!process.env.SIGNED_URL_SECRET || !expires || !signature) return false;
+  if (parseInt(expires, 10) * 1000 < Date.now()) return false;
+
+  const expected = Buffer.from(urlSignature(pathname, expires));
+  const actual = Buffer.from(String(signature));
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
@@ -0,0 +1,302 @@
+import { execFile, spawn } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import prisma from "./prisma.js";
+import redisClient from "./redis.js";
+import { incomingPath, resolveFilePath, storeBlob } from "./blob-store.js";
+import { detectFileType, mimeFromFilename, typeFromMime } from "./file-type.js";
+import { recordFileMetadata } from "./metadata.js";
+
+const SEVEN_ZIP = process.env.SEVEN_ZIP_PATH || "7z";
+const MAX_ENTRIES = parseInt(process.env.ARCHIVE_MAX_ENTRIES, 10) || 1000;
+const MAX_SIZE =
+  (parseInt(process.env.ARCHIVE_MAX_SIZE, 10) || 4096) * 1024 * 1024;
+const MAX_RATIO = parseInt(process.env.ARCHIVE_MAX_RATIO, 10) || 100;
+const LIST_TIMEOUT = 1000 * 60;
+const EXTRACTABLE_MIMES = [
+  "application/zip",
+  "application/vnd.rar",
+  "application/x-7z-compressed",
+];
+// Nested archives are never opened, they are how zip bombs multiply
+const EXTRACTED_TYPES = ["image", "video", "audio"];
+
+/** The archive breaks a safeguard, none of its files are extracted */
+export class ArchiveRefusedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ArchiveRefusedError";
+  }
+}
+
+/** 7-Zip is not installed, or not at `SEVEN_ZIP_PATH`, reported as a 503 */
+export class ArchiveToolMissingError extends Error {
+  constructor() {
+    super(`7-Zip was not found at ${SEVEN_ZIP}, set SEVEN_ZIP_PATH`);
+    this.name = "ArchiveToolMissingError";
+  }
+}
+
+function toolError(e) {
+  return e.code === "ENOENT" ? new ArchiveToolMissingError() : e;
+}
+
+/** Whether a `File` row is an archive 7-Zip can extract: zip, rar or 7z */
+export function isExtractable(file) {
+  return (
+    file.type === "archive" &&
+    EXTRACTABLE_MIMES.includes(file.mime || mimeFromFilename(file.filename))
+  );
+}
+
+/**
+ * Path of an entry relative to the archive root, null when it is absolute or
+ * climbs out of it. Entry names are never used as paths on the disk, files
+ * are stored by hash, but the stored path must stay meaningful.
+ */
+function safeEntryPath(name) {
+  const normalized = name.replace(/\\/g, "/");
+  if (normalized.includes("\0") || /^([a-zA-Z]:)?\//.test(normalized)) {
+    return null;
+  }
+  const parts = normalized.split("/").filter((part) => part && part !== ".");
+  if (parts.length === 0 || parts.includes("..")) return null;
+  return parts.join("/");
+}
+
+/** Runs 7-Zip, stdin is closed so password prompts fail instead of hanging */
+function sevenZip(args) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(
+      SEVEN_ZIP,
+      args,
+      { maxBuffer: 1024 * 1024 * 32, timeout: LIST_TIMEOUT },
+      (err, stdout, stderr) => {
+        if (!err) return resolve(stdout);
+        if (err.code === "ENOENT") return reject(toolError(err));
+        const message = stderr.trim().split("\n").pop();
+        reject(new Error(message || err.message));
+      },
+    );
+    child.stdin?.end();
+  });
+}
+
+/** Parses the technical listing of `7z l -slt`, one block per entry */
+function parseListing(output) {
+  const [, body = ""] = output.split(/\r?\n-{10,}\r?\n/);
+  return body
+    .split(/\r?\n\r?\n/)
+    .map((block) =>
+      Object.fromEntries(
+        block
+          .split(/\r?\n/)
+          .map((line) => /^([^=]+?) = ?(.*)$/.exec(line))
+          .filter(Boolean)
+          .map(([, key, value]) => [key, value]),
+      ),
+    )
+    .filter((fields) => fields.Path !== undefined);
+}
+
+/** Why an entry is left in the archive, null when it is extracted */
+function skipReason(fields, entryPath, size) {
+  const attributes = fields.Attributes || "";
+  if (fields.Folder === "+" || attributes.startsWith("D")) return "directory";
+  if (fields["Symbolic Link"] || / l/.test(attributes)) return "link";
+  if (fields.Encrypted === "+") return "encrypted";
+  if (!entryPath) return "unsafe path";
+  if (entryPath.split("/").includes("__MACOSX")) return "system file";
+  if (!Number.isFinite(size)) return "unknown size";
+  if (size === 0) return "empty";
+  if (!EXTRACTED_TYPES.includes(typeFromMime(mimeFromFilename(entryPath)))) {
+    return "not a media file";
+  }
+  return null;
+}
+
+/**
+ * Entries of an archive as `{ name, path, size, packedSize, skipped }`,
+ * `name` being what 7-Zip calls it and `path` its safe form. Listings are
+ * cached a day.
+ */
+export async function listArchive(file, archivePath = resolveFilePath(file)) {
+  const cacheKey = `archive:entries:${file.hash || file.id}`;
+  const cached = await redisClient.get(cacheKey);
+  if (cached) return JSON.parse(cached);
+
+  const output = await sevenZip(["l", "-slt", "-sccUTF-8", archivePath]);
+  const entries = parseListing(output).map((fields) => {
+    const entryPath = safeEntryPath(fields.Path);
+    const size = fields.Size === "" ? NaN : Number(fields.Size);
+    return {
+      name: fields.Path,
+      path: entryPath,
+      size: Number.isFinite(size) ? size : null,
+      packedSize: Number(fields["Packed Size"]) || null,
+      skipped: skipReason(fields, entryPath, size),
+    };
+  });
+
+  await redisClient.set(cacheKey, JSON.stringify(entries), {
+    EX: 60 * 60 * 24,
+  });
+  return entries;
+}
+
+/**
+ * Zip bomb safeguards: the number of entries, the total size they claim and
+ * how much that is compared to the archive are capped. Entries claiming less
+ * than they hold are caught while extracting them.
+ */
+function checkLimits(archiveSize, entries) {
+  if (entries.length > MAX_ENTRIES) {
+    throw new ArchiveRefusedError(
+      `${entries.length} entries, more than the ${MAX_ENTRIES} allowed`,
+    );
+  }
+
+  const totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+  if (totalSize > MAX_SIZE) {
+    throw new ArchiveRefusedError(
+      `${totalSize} bytes once extracted, more than the ${MAX_SIZE} allowed`,
+    );
+  }
+  if (totalSize / Math.max(archiveSize, 1) > MAX_RATIO) {
+    throw new ArchiveRefusedError(
+      `Compression ratio above ${MAX_RATIO}, it may be a zip bomb`,
+    );
+  }
+}
+
+/**
+ * Extracts one entry to the incoming folder while hashing it. 7-Zip is killed
+ * as soon as the entry outgrows the size the listing gave.
+ */
+function extractEntry(archivePath, entry, signal) {
+  const tmpPath = incomingPath(entry.path);
+  fs.mkdirSync(path.dirname(tmpPath), { recursive: true });
+
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    const output = fs.createWriteStream(tmpPath);
+    // No wildcard matching, names are taken as they are
+    const child = spawn(
+      SEVEN_ZIP,
+      ["x", "-so", "-spd", "-bd", "-y", archivePath, "--", entry.name],
+      { stdio: ["ignore", "pipe", "pipe"], signal },
+    );
+
+    let bytes = 0;
+    let failure = null;
+    let stderr = "";
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk).slice(-4096);
+    });
+    child.stdout.on("data", (chunk) => {
+      bytes += chunk.length;
+      if (bytes > entry.size) {
+        failure ??= new ArchiveRefusedError(
+          `${entry.path} is larger than the archive claims`,
+        );
+        child.kill();
+        return;
+      }
+      hash.update(chunk);
+      if (!output.write(chunk)) child.stdout.pause();
+    });
+    output.on("drain", () => child.stdout.resume());
+    output.on("error", (e) => {
+      failure ??= e;
+      child.kill();
+    });
+    child.on("error", (e) => (failure ??= toolError(e)));
+    child.on("close", (code) => {
+      output.end(() => {
+        if (!failure && code !== 0) {
+          failure = new Error(
+            stderr.trim().split("\n").pop() || `7-Zip exited with ${code}`,
+          );
+        }
+        if (failure) {
+          fs.rmSync(tmpPath, { force: true });
+          return reject(failure);
+        }
+        resolve({ tmpPath, hash: hash.digest("hex") });
+      });
+    });
+  });
+}
+
+/**
+ * Extracts the images, videos and audio of an archive `File`, which needs its
+ * artist. Every one becomes a `File` of the same post, linked to the archive
+ * through `parentId`. Entries extracted by an earlier run are skipped.
+ * Resolves with the new rows, throws `ArchiveRefusedError` when a safeguard
+ * is hit.
+ */
+export async function extractArchive(file, { signal = null } = {}) {
+  if (!isExtractable(file)) {
+    throw new Error(`${file.filename} is not a zip, rar or 7z archive`);
+  }
+
+  const archivePath = resolveFilePath(file);
+  const entries = await listArchive(file, archivePath);
+  checkLimits(fs.statSync(archivePath).size, entries);
+
+  const known = new Set(
+    (
+      await prisma.file.findMany({
+        where: { parentId: file.id },
+        select: { archivePath: true },
+      })
+    ).map((entry) => entry.archivePath),
+  );
+
+  const created = [];
+  for (const [position, entry] of entries.entries()) {
+    signal?.throwIfAborted();
+    if (entry.skipped || known.has(entry.path)) continue;
+
+    const { tmpPath, hash } = await extractEntry(archivePath, entry, signal);
+    // Extensions inside archives lie as much as outside
+    const { mime, type } = await detectFileType(tmpPath, entry.path);
+    if (!EXTRACTED_TYPES.includes(type)) {
+      fs.rmSync(tmpPath, { force: true });
+      continue;
+    }
+    storeBlob(tmpPath, hash);
+
+    const child = await prisma.file.create({
+      data: {
+        url: file.url,
+        filename: path.posix.basename(entry.path),
+        archivePath: entry.path,
+        hash,
+        type,
+        mime,
+        position,
+        postId: file.postId,
+        artistId: file.artistId,
+        parentId: file.id,
+      },
+      include: { artist: true },
+    });
+    // Failures are left to the metadata backfill, like after downloads
+    await recordFileMetadata(child).catch((e) =>
+      console.error(
+        `Failed to read metadata of ${child.filename}, error: ${
+          e.message || "no error message"
+        }`,
+      ),
+    );
+    created.push(child);
+  }
+
+  await prisma.file.update({
+    where: { id: file.id },
+    data: { extractedAt: new Date() },
+  });
+  return created;
+}
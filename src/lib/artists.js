@@ -0,0 +1,191 @@
+import fs from "fs";
+import path from "path";
+import prisma from "./prisma.js";
+import { getArtistProfile } from "./coomer-api.js";
+import { parseArtistUrl } from "./sites.js";
+import { JOB_PRIORITY, JOB_TYPES } from "./job-queue.js";
+import { cancelArtistJobs, enqueueArtistScrape } from "./jobs.js";
+import { blobPath, legacyFilePath } from "./blob-store.js";
+import { updatePolicy, validatePolicy } from "./policies.js";
+import { removeThumbnails } from "./thumbnails.js";
+import { removeRenditions } from "./hls.js";
+
+/**
+ * Adds the artist behind `url`, fetching its profile from the site, then
+ * queues a first scrape. `policy` holds validated `ArtistPolicy` fields.
+ * Resolves with `{ artist, created }`, `created` being false when the
+ * artist was already known.
+ */
+export async function importArtist(
+  url,
+  {
+    isException = false,
+    paused = false,
+    policy = null,
+    scrape = true,
+    priority = JOB_PRIORITY.HIGH,
+  } = {},
+) {
+  const parsed = parseArtistUrl(url);
+
+  const existing = await prisma.artist.findUnique({
+    where: { url: parsed.url },
+  });
+  if (existing) return { artist: existing, created: false };
+
+  const artistProfile = await getArtistProfile(parsed.url);
+  const artist = await prisma.artist.create({
+    data: {
+      url: parsed.url,
+      name: artistProfile.name || parsed.id,
+      identifier: artistProfile.id || parsed.id,
+      site: parsed.site,
+      service: artistProfile.service || parsed.service,
+      isException,
+      paused,
+    },
+  });
+  if (policy) await updatePolicy(artist.id, policy);
+
+  // Scrape right away instead of waiting for the next sweep
+  if (scrape && !paused) {
+    await enqueueArtistScrape(artist.id, { priority });
+  }
+
+  return { artist, created: true };
+}
+
+/**
+ * Imports a list of URLs, or of artists as returned by `exportArtists`, one
+ * at a time. Never throws, each entry gets its own result.
+ */
+export async function importArtists(entries, options = {}) {
+  const results = [];
+
+  for (const entry of entries) {
+    const { url, ...settings } =
+      typeof entry === "string" ? { url: entry } : entry || {};
+
+    try {
+      if (typeof url !== "string" || !url) throw new Error("Missing URL");
+      const { data: policy, error } = validatePolicy(settings.policy);
+      if (error) throw new Error(`Invalid policy, ${error}`);
+
+      const { artist, created } = await importArtist(url, {
+        ...options,
+        isException: settings.isException === true,
+        paused: settings.paused === true,
+        policy: settings.policy ? policy : null,
+      });
+
+      results.push({
+        url,
+        status: created ? "created" : "exists",
+        artistId: artist.id,
+      });
+    } catch (e) {
+      results.push({
+        url: url ?? null,
+        status: "failed",
+        error: e.message || "no error message",
+      });
+    }
+  }
+
+  return results;
+}
+
+export function exportArtists() {
+  return prisma.artist.findMany({
+    select: {
+      url: true,
+      name: true,
+      site: true,
+      service: true,
+      isException: true,
+      paused: true,
+      policy: {
+        omit: { id: true, artistId: true, createdAt: true, updatedAt: true },
+      },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+function unlinkIfExists(filePath) {
+  if (!fs.existsSync(filePath)) return false;
+  fs.unlinkSync(filePath);
+  return true;
+}
+
+/**
+ * Deletes an artist with its posts and files. With `purge`, files are also
+ * removed from disk, except blobs another artist's files still point to.
+ */
+export async function deleteArtist(artistId, { purge = false } = {}) {
+  const artist = await prisma.artist.findUnique({ where: { id: artistId } });
+  if (!artist) return null;
+
+  await cancelArtistJobs(artistId, Object.values(JOB_TYPES));
+
+  const files = await prisma.file.findMany({
+    where: { artistId },
+    select: { id: true, hash: true, filename: true },
+  });
+
+  const [, deletedFiles, deletedPosts] = await prisma.$transaction([
+    prisma.fileMetadata.deleteMany({ where: { file: { artistId } } }),
+    prisma.file.deleteMany({ where: { artistId } }),
+    prisma.post.deleteMany({ where: { artistId } }),
+    prisma.artistPolicy.deleteMany({ where: { artistId } }),
+    prisma.artist.delete({ where: { id: artistId } }),
+  ]);
+
+  let purgedFiles = 0;
+  if (purge) {
+    const hashes = [...new Set(files.map((file) => file.hash).filter(Boolean))];
+    const shared = new Set(
+      (
+        await prisma.file.findMany({
+          where: { hash: { in: hashes } },
+          select: { hash: true },
+          distinct: ["hash"],
+        })
+      ).map((file) => file.hash),
+    );
+
+    for (const file of files) {
+      const paths = [legacyFilePath(artist.identifier, file.filename)];
+      if (file.hash && !shared.has(file.hash)) paths.push(blobPath(file.hash));
+      if (!file.hash || !shared.has(file.hash)) {
+        removeThumbnails(file);
+        removeRenditions(file);
+      }
+
+      for (const filePath of paths) {
+        try {
+          if (unlinkIfExists(filePath)) purgedFiles++;
+          unlinkIfExists(`${filePath}.thumbnail.jpg`);
+        } catch (e) {
+          console.error(
+            `Failed to purge ${filePath}, error: ${
+              e.message || "no error message"
+            }`,
+          );
+        }
+      }
+    }
+
+    const artistDir = path.dirname(legacyFilePath(artist.identifier, "_"));
+    if (fs.existsSync(artistDir) && fs.readdirSync(artistDir).length === 0) {
+      fs.rmdirSync(artistDir);
+    }
+  }
+
+  return {
+    artist,
+    deletedPosts: deletedPosts.count,
+    deletedFiles: deletedFiles.count,
+    purgedFiles,
+  };
+}
@@ -0,0 +1,66 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Content-addressed layout: every file is stored once under
+ * `DOWNLOAD_DIR/blobs/<aa>/<bb>/<sha256>`, whatever artist or post it
+ * belongs to. `File` rows point to their blob through `File.hash`.
+ */
+
+export function blobRoot() {
+  return path.join(process.env.DOWNLOAD_DIR, "blobs");
+}
+
+export function blobPath(hash) {
+  return path.join(blobRoot(), hash.slice(0, 2), hash.slice(2, 4), hash);
+}
+
+export function legacyFilePath(artistIdentifier, filename) {
+  return path.join(process.env.DOWNLOAD_DIR, artistIdentifier, filename);
+}
+
+/** Where validation moves files that failed their checks */
+export function quarantineRoot() {
+  return path.join(process.env.DOWNLOAD_DIR, "_quarantine_");
+}
+
+/** Temporary location for downloads whose hash is not known in advance */
+export function incomingPath(filename) {
+  const id = crypto.randomBytes(8).toString("hex");
+  return path.join(blobRoot(), "incoming", `${id}${path.extname(filename)}`);
+}
+
+/**
+ * Moves a finished file into the blob store. When the blob already exists the
+ * file is a duplicate and gets deleted instead.
+ */
+export function storeBlob(filePath, hash) {
+  const target = blobPath(hash);
+  if (filePath === target) return target;
+
+  if (fs.existsSync(target)) {
+    fs.unlinkSync(filePath);
+    return target;
+  }
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.renameSync(filePath, target);
+  return target;
+}
+
+/**
+ * Resolves where a `File` row lives on disk. Rows that were not migrated yet
+ * still resolve to the old `DOWNLOAD_DIR/<artist>/<filename>` layout.
+ */
+export function resolveFilePath(file) {
+  if (file.hash) {
+    const target = blobPath(file.hash);
+    if (fs.existsSync(target) || !file.artist) return target;
+  }
+
+  const legacy = legacyFilePath(file.artist.identifier, file.filename);
+  if (!file.hash || fs.existsSync(legacy)) return legacy;
+
+  return blobPath(file.hash);
+}
@@ -1,62 +1,109 @@
 import redis from "./redis.js";
+import { createHttpClient } from "./http-client.js";
+import { DEFAULT_SITE, getSite, parseArtistUrl } from "./sites.js";
+
+// Every call to a site API goes through that site's client
+const apiClients = new Map();
+
+function getApiClient(siteName) {
+  if (!apiClients.has(siteName)) {
+    apiClients.set(
+      siteName,
+      createHttpClient({
+        requestsPerSecond: parseFloat(process.env.COOMER_API_RPS) || 1,
+        burst: parseInt(process.env.COOMER_API_BURST, 10) || 1,
+        maxRetries: parseInt(process.env.COOMER_API_MAX_RETRIES, 10) || 5,
+        headers: {
+          Accept: "text/css",
+        },
+      }),
+    );
+  }
+  return apiClients.get(siteName);
+}
 
-const apiBaseURL = "https://coomer.st/api";
+async function fetchApi(siteName, endpoint, errorMessage) {
+  try {
+    return await getApiClient(siteName).getJson(
+      `${getSite(siteName).apiBaseURL}${endpoint}`,
+    );
+  } catch (e) {
+    throw new Error(`${errorMessage}: ${e.body ?? e.message}`);
+  }
+}
 
 export function getArtistDetailsFromURL(artistUrl) {
+  return parseArtistUrl(artistUrl);
+}
+
+function toArtistProfile(data) {
   return {
-    service: artistUrl.split("/")[3],
-    id: artistUrl.split("/")[5],
+    name: data.name,
+    id: data.id,
+    service: data.service,
+    post_count: data.post_count,
+    _data: data,
   };
 }
 
 export async function getArtistProfile(artistUrl) {
-  const { service, id } = getArtistDetailsFromURL(artistUrl);
+  const { site, service, id } = getArtistDetailsFromURL(artistUrl);
 
   const cached = await redis.get(`profile2:${artistUrl}`);
-  if (cached) return JSON.parse(cached);
+  if (cached) return toArtistProfile(JSON.parse(cached));
 
-  const response = await fetch(
-    `${apiBaseURL}/v1/${service}/user/${id}/profile`,
-    {
-      headers: {
-        Accept: "text/css",
-      },
-    },
+  const data = await fetchApi(
+    site,
+    `/v1/${service}/user/${id}/profile`,
+    "Failed to fetch artist profile",
   );
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Failed to fetch artist profile: ${error}`);
-    return;
-  }
-
-  const data = await response.json();
-
   await redis.set(`profile2:${artistUrl}`, JSON.stringify(data));
-  await new Promise((resolve) => setTimeout(resolve, 1000));
 
-  return {
-    name: data.name,
-    id: data.id,
-    service: data.service,
-    _data: data,
-  };
+  return toArtistProfile(data);
+}
+
+/** Dates of the API have no timezone but are UTC */
+export function parseApiDate(value) {
+  if (!value) return null;
+  const date = new Date(
+    /[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value}Z`,
+  );
+  return Number.isNaN(date.getTime()) ? null : date;
 }
 
-export async function getAllArtistPosts(artistUrl, postsCount = 50) {
+/**
+ * Pages through the posts of an artist, newest first. With `until`, paging
+ * stops at the first post that is already known, either by id or by being
+ * published no later than `until.publishedAt`. Pages are then read fresh,
+ * since a cached first page would hide new posts.
+ */
+export async function getAllArtistPosts(
+  artistUrl,
+  postsCount = 50,
+  { until = null } = {},
+) {
   let offset = 0;
   const allPosts = [];
 
   while (allPosts.length < postsCount) {
-    await new Promise((resolve) =>
-      setTimeout(() => {
-        resolve();
-      }, 300),
-    );
-
-    const posts = await getArtistPosts(artistUrl, offset);
+    const posts = await getArtistPosts(artistUrl, offset, { cache: !until });
     if (!posts || posts.length === 0) break;
 
+    if (until) {
+      const knownIndex = posts.findIndex((post) => {
+        if (post.id === until.id) return true;
+        const published = parseApiDate(post.published);
+        return (
+          !!(until.publishedAt && published) && published <= until.publishedAt
+        );
+      });
+      if (knownIndex !== -1) {
+        allPosts.push(...posts.slice(0, knownIndex));
+        break;
+      }
+    }
+
     allPosts.push(...posts);
     offset += 50;
   }
@@ -64,99 +111,121 @@ export async function getAllArtistPosts(artistUrl, postsCount = 50) {
   return allPosts;
 }
 
-export async function getAllPopularPostsByDate(date, period) {
+export async function getAllPopularPostsByDate(
+  date,
+  period,
+  site = DEFAULT_SITE,
+) {
   const dateText = date.toISOString().split("T")[0];
-
-  const cached = await redis.get(`posts-v2-popular:${dateText}:${period}`);
-  if (cached) return JSON.parse(cached);
-
-  const response = await fetch(
-    `${apiBaseURL}/v1/posts/popular?date=${dateText}&period=${period}`,
-    {
-      headers: {
-        Accept: "text/css",
-      },
-    },
+  const cacheKey =
+    site === DEFAULT_SITE
+      ? `posts-v2-popular:${dateText}:${period}`
+      : `posts-v2-popular:${site}:${dateText}:${period}`;
+
+  const cached = await redis.get(cacheKey);
+  if (cached) return JSON.parse(cached).posts;
+
+  const data = await fetchApi(
+    site,
+    `/v1/posts/popular?date=${dateText}&period=${period}`,
+    "Failed to fetch artist posts",
   );
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Failed to fetch artist posts: ${error}`);
-    return;
-  }
+  await redis.set(cacheKey, JSON.stringify(data), {
+    EX: 60 * 60 * 12,
+  });
 
-  const data = await response.json();
+  return data.posts;
+}
 
-  await redis.set(
-    `posts-v2-popular:${dateText}:${period}`,
-    JSON.stringify(data),
-    {
-      EX: 60 * 60 * 12,
-    },
-  );
-  await new Promise((resolve) => setTimeout(resolve, 1000));
+/** Tags come as an array, or as a Postgres array literal on older posts */
+function parseTags(tags) {
+  if (Array.isArray(tags)) return tags.filter(Boolean).map(String);
+  if (typeof tags !== "string" || !tags) return [];
 
-  return data.posts;
+  return tags
+    .replace(/^\{|\}$/g, "")
+    .split(",")
+    .map((tag) => tag.trim().replace(/^"|"$/g, ""))
+    .filter(Boolean);
 }
 
-export async function getArtistPosts(artistUrl, offset = 0) {
-  const { service, id } = getArtistDetailsFromURL(artistUrl);
+/** Maps the result of `getPostContent` to the columns of the `Post` model */
+export function toPostMetadata(postContent) {
+  const post = postContent?.post || {};
+  // Prisma refuses a plain null for Json columns, undefined leaves it unset
+  const embed =
+    post.embed && Object.keys(post.embed).length > 0 ? post.embed : undefined;
 
-  const cached = await redis.get(`posts-v2:${artistUrl}:${offset}`);
-  if (cached) return JSON.parse(cached);
+  return {
+    title: post.title || null,
+    content: post.content || null,
+    publishedAt: parseApiDate(post.published),
+    editedAt: parseApiDate(post.edited),
+    tags: parseTags(post.tags),
+    embed,
+  };
+}
 
-  const response = await fetch(
-    `${apiBaseURL}/v1/${service}/user/${id}/posts?o=${offset}`,
-    {
-      headers: {
-        Accept: "text/css",
-      },
-    },
+/** Attachments of a post in display order, videos included */
+export function getPostAttachments(postContent) {
+  let attachments = [];
+  if (postContent?.post?.attachments)
+    attachments = [...attachments, ...postContent.post.attachments];
+  if (postContent?.videos)
+    attachments = [...attachments, ...postContent.videos];
+
+  // Videos are usually listed a second time as attachments
+  return attachments.filter(
+    (attachment, index) =>
+      attachments.findIndex((other) => other.path === attachment.path) ===
+      index,
   );
+}
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Failed to fetch artist posts: ${error}`);
-    return;
-  }
+function toPostSummary(post) {
+  return {
+    id: post.id,
+    published: post.published,
+  };
+}
 
-  const data = await response.json();
+export async function getArtistPosts(
+  artistUrl,
+  offset = 0,
+  { cache = true } = {},
+) {
+  const { site, service, id } = getArtistDetailsFromURL(artistUrl);
+
+  const cached = cache && (await redis.get(`posts-v2:${artistUrl}:${offset}`));
+  if (cached) return JSON.parse(cached).map(toPostSummary);
+
+  const data = await fetchApi(
+    site,
+    `/v1/${service}/user/${id}/posts?o=${offset}`,
+    "Failed to fetch artist posts",
+  );
 
   await redis.set(`posts-v2:${artistUrl}:${offset}`, JSON.stringify(data), {
     EX: 60 * 60 * 12,
   });
-  await new Promise((resolve) => setTimeout(resolve, 1000));
 
-  return data.map((el) => ({
-    id: el.id,
-  }));
+  return data.map(toPostSummary);
 }
 
 export async function getPostContent(artistUrl, postId) {
-  const { service, id } = getArtistDetailsFromURL(artistUrl);
+  const { site, service, id } = getArtistDetailsFromURL(artistUrl);
 
   const cached = await redis.get(`post:${artistUrl}:${postId}`);
   if (cached) return JSON.parse(cached);
 
-  const response = await fetch(
-    `${apiBaseURL}/v1/${service}/user/${id}/post/${postId}`,
-    {
-      headers: {
-        Accept: "text/css",
-      },
-    },
+  const data = await fetchApi(
+    site,
+    `/v1/${service}/user/${id}/post/${postId}`,
+    "Failed to fetch post content",
   );
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Failed to fetch post content: ${error}`);
-    return;
-  }
-
-  const data = await response.json();
-
   await redis.set(`post:${artistUrl}:${postId}`, JSON.stringify(data));
-  await new Promise((resolve) => setTimeout(resolve, 1000));
 
   return data;
 }
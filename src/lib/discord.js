@@ -1,9 +1,12 @@
 import { Client, GatewayIntentBits } from "discord.js";
-import { getArtistProfile } from "./coomer-api.js";
-import prisma from "./prisma.js";
+import { siteLinksRegex } from "./sites.js";
+import { JOB_PRIORITY } from "./job-queue.js";
+import { importArtist } from "./artists.js";
+
+let client = null;
 
 export async function discord() {
-  const client = new Client({
+  client = new Client({
     intents: [
       GatewayIntentBits.Guilds,
       GatewayIntentBits.GuildMessages,
@@ -21,8 +24,7 @@ export async function discord() {
 
     const content = message.content;
 
-    const regex = /https?:\/\/(?:www\.)?coomer\.st(?:\/\S*)?/gi;
-    const matches = content.match(regex);
+    const matches = content.match(siteLinksRegex());
     let emsg = null;
 
     let added = 0;
@@ -32,32 +34,19 @@ export async function discord() {
       for (const url of matches) {
         try {
           const urlObj = new URL(url);
-          const artistURL = `${urlObj.origin}${urlObj.pathname}`;
           let priority = false;
-          if (url.search.length > 0) {
+          if (urlObj.search.length > 0) {
             priority = true;
           }
-          const artist = await prisma.artist.findUnique({
-            where: {
-              url: artistURL,
-            },
+          console.log(`Importing ${url} from Discord...`);
+          const { created } = await importArtist(url, {
+            priority: priority ? JOB_PRIORITY.URGENT : JOB_PRIORITY.HIGH,
           });
-          if (artist) {
+          if (!created) {
             console.log(`Artist ${url} already exists`);
             notAdded++;
             continue;
           }
-          console.log(`Importing ${url} from Discord...`);
-          const artistDetails = await getArtistProfile(artistURL);
-          await prisma.artist.create({
-            data: {
-              url: artistURL,
-              name: artistDetails.name,
-              identifier: artistDetails.id,
-              service: artistDetails.service,
-              isException: false,
-            },
-          });
           added++;
         } catch (e) {
           console.error(
@@ -85,3 +74,8 @@ export async function discord() {
 
   await client.login(process.env.DISCORD_TOKEN);
 }
+
+export async function stopDiscord() {
+  await client?.destroy();
+  client = null;
+}
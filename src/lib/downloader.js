@@ -1,138 +1,402 @@
+import crypto from "crypto";
 import fs from "fs";
 import https from "https";
 import { URL } from "url";
+import { pipeline } from "stream";
 import redisClient from "./redis.js";
 import { getProgressManager } from "./progress-manager.js";
+import { hashFile, hashFromPath } from "./utils.js";
 
-export async function downloadFile(
+const DOWNLOAD_TIMEOUT = 1000 * 60 * 10;
+const MAX_INTEGRITY_RETRIES = 2;
+
+export class IntegrityError extends Error {
+  constructor(filename, expected, actual) {
+    super(
+      `Hash mismatch for '${filename}' (expected ${expected}, got ${actual})`,
+    );
+    this.name = "IntegrityError";
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+export class FileTooLargeError extends Error {
+  constructor(filename, size, maxBytes) {
+    super(`'${filename}' is larger than ${maxBytes} bytes (${size} bytes)`);
+    this.name = "FileTooLargeError";
+    this.size = size;
+    this.maxBytes = maxBytes;
+  }
+}
+
+/** The transfer was stopped by abortDownloads(), on shutdown */
+export class DownloadAbortedError extends Error {
+  constructor(filename) {
+    super(`Download of '${filename}' aborted`);
+    this.name = "DownloadAbortedError";
+  }
+}
+
+export function partFilePath(outputFilePath) {
+  return `${outputFilePath}.part`;
+}
+
+function parseContentRange(header) {
+  const match = /^bytes (?:(\d+)-(\d+)|\*)\/(\d+|\*)$/.exec(header || "");
+  if (!match) return null;
+
+  return {
+    start: match[1] !== undefined ? parseInt(match[1], 10) : null,
+    end: match[2] !== undefined ? parseInt(match[2], 10) : null,
+    total: match[3] !== "*" ? parseInt(match[3], 10) : null,
+  };
+}
+
+const inflight = new Map();
+const activeRequests = new Set();
+// Set for good on shutdown, no transfer or mirror is started afterwards
+let aborting = false;
+
+/**
+ * Stops every transfer in progress, and refuses new ones. Their `.part`
+ * files are kept, so the next run resumes them.
+ */
+export function abortDownloads() {
+  aborting = true;
+  for (const request of activeRequests) {
+    request.destroy(new DownloadAbortedError(request.path));
+  }
+  return activeRequests.size;
+}
+
+/**
+ * Downloads an attachment to `outputFilePath`, going through a `.part` file
+ * so a later try resumes it with a Range request. Resolves with the
+ * SHA-256 of the downloaded bytes, checked against the hash found in the
+ * coomer path. When `attachment.mirrors` lists other URLs for the same file,
+ * they are tried in turn after a failure. Concurrent calls for the same
+ * `outputFilePath` share a single transfer. Files larger than
+ * `attachment.maxBytes` are abandoned with a FileTooLargeError.
+ */
+export function downloadFile(
   attachment,
   redirectCount = 0,
   progressBarId = null,
 ) {
-  const { url, path, filename, outputPath, outputFilename, outputFilePath } =
-    attachment;
+  const { outputFilePath } = attachment;
+
+  if (inflight.has(outputFilePath)) {
+    if (progressBarId) {
+      getProgressManager().skipFile(progressBarId);
+    }
+    return inflight.get(outputFilePath);
+  }
+
+  const transfer = transferWithFailover(
+    attachment,
+    redirectCount,
+    progressBarId,
+  ).finally(() => inflight.delete(outputFilePath));
+  inflight.set(outputFilePath, transfer);
+  return transfer;
+}
+
+async function transferWithFailover(attachment, redirectCount, progressBarId) {
+  const { outputFilePath } = attachment;
   const progressManager = getProgressManager();
 
-  return new Promise(async (resolve, reject) => {
-    if (fs.existsSync(outputFilePath)) {
-      // File already exists - skip
-      if (progressBarId) {
-        progressManager.skipFile(progressBarId);
-      }
-      return resolve();
+  if (fs.existsSync(outputFilePath)) {
+    // File already exists - skip
+    if (progressBarId) {
+      progressManager.skipFile(progressBarId);
     }
+    return { hash: null };
+  }
 
-    const skipKey = await redisClient.get(`skip-download-2:${outputFilePath}`);
-    if (skipKey) {
-      if (progressBarId) {
-        progressManager.skipFile(progressBarId);
-      }
-      return reject(new Error("File skipped"));
+  const skipKey = await redisClient.get(`skip-download-2:${outputFilePath}`);
+  if (skipKey) {
+    if (progressBarId) {
+      progressManager.skipFile(progressBarId);
+    }
+    throw new Error("File skipped");
+  }
+
+  const urls = [attachment.url, ...(attachment.mirrors || [])];
+  let lastError = null;
+
+  for (const url of urls) {
+    if (aborting) throw new DownloadAbortedError(attachment.filename);
+    try {
+      // The .part file is shared, so a mirror resumes where the last one stopped
+      return await transferFile(
+        { ...attachment, url },
+        redirectCount,
+        progressBarId,
+      );
+    } catch (e) {
+      // Whatever the request failed with, mirrors must not take over
+      if (aborting) throw new DownloadAbortedError(attachment.filename);
+      lastError = e;
+      // Mirrors serve the same file, its size will not change
+      if (e instanceof FileTooLargeError) break;
+    }
+  }
+
+  if (progressBarId) {
+    if (lastError instanceof FileTooLargeError) {
+      progressManager.skipFile(progressBarId);
+    } else {
+      progressManager.failFile(progressBarId, lastError);
     }
+  }
+  throw lastError;
+}
+
+async function transferFile(
+  attachment,
+  redirectCount = 0,
+  progressBarId = null,
+  integrityRetries = MAX_INTEGRITY_RETRIES,
+) {
+  const {
+    url,
+    path,
+    filename,
+    outputPath,
+    outputFilename,
+    outputFilePath,
+    maxBytes,
+  } = attachment;
+  // Redirects and integrity retries start new requests too
+  if (aborting) throw new DownloadAbortedError(filename);
+  const progressManager = getProgressManager();
+  const partPath = partFilePath(outputFilePath);
+  const expectedHash = hashFromPath(path);
 
+  return new Promise(async (resolve, reject) => {
     if (redirectCount > 1) {
-      if (progressBarId) {
-        progressManager.failFile(progressBarId);
-      }
       return reject(new Error("Too many redirects"));
     }
 
-    const request = https.get(url, (response) => {
-      /** Redirection handler */
-      if (
-        response.statusCode &&
-        response.statusCode >= 300 &&
-        response.statusCode < 400 &&
-        response.headers.location
-      ) {
-        const redirectUrl = new URL(response.headers.location, url).href;
-        response.destroy();
-        return downloadFile(
-          { ...attachment, url: redirectUrl },
-          redirectCount + 1,
-          progressBarId,
-        )
-          .then(resolve)
-          .catch(reject);
-      }
+    fs.mkdirSync(outputPath, { recursive: true });
+
+    /** Resume from a previous partial download if there is one */
+    const resumeFrom = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+    let resumeHash = null;
+    if (resumeFrom > 0) {
+      resumeHash = crypto.createHash("sha256");
+      await new Promise((done, failed) =>
+        fs
+          .createReadStream(partPath)
+          .on("data", (chunk) => resumeHash.update(chunk))
+          .on("end", done)
+          .on("error", failed),
+      ).catch(() => {
+        resumeHash = null;
+      });
+    }
+
+    let settled = false;
+    let timeout = null;
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeout);
+      reject(err);
+    };
+    const restart = (
+      nextAttachment,
+      nextRedirectCount,
+      nextIntegrityRetries = integrityRetries,
+    ) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeout);
+      transferFile(
+        nextAttachment,
+        nextRedirectCount,
+        progressBarId,
+        nextIntegrityRetries,
+      )
+        .then(resolve)
+        .catch(reject);
+    };
+    /** Checks the finished part file and moves it into place */
+    const complete = (hash) => {
+      if (settled) return;
 
-      /** Fails handler */
-      if (response.statusCode !== 200 && response.statusCode !== 304) {
-        if (progressBarId) {
-          progressManager.failFile(progressBarId);
+      if (expectedHash && hash !== expectedHash) {
+        fs.unlinkSync(partPath);
+        if (integrityRetries > 0) {
+          return restart(attachment, redirectCount, integrityRetries - 1);
         }
-        return reject(
-          new Error(
-            `Failed to get '${url} /// ${filename}' (${response.statusCode})`,
-          ),
-        );
+        return fail(new IntegrityError(filename, expectedHash, hash));
       }
 
-      // Get content length for progress tracking
-      const contentLength =
-        parseInt(response.headers["content-length"], 10) || 0;
-      let downloadedBytes = 0;
-
-      /** Timeout */
-      const timeout = setTimeout(
-        async () => {
-          if (!redisClient || !outputFilePath) return;
-          if (fs.existsSync(outputFilePath)) {
-            fs.unlinkSync(outputFilePath);
-          }
-          await redisClient.set(`skip-download-2:${outputFilePath}`, "true", {
-            EX: 60 * 60 * 1,
-          });
+      try {
+        fs.renameSync(partPath, outputFilePath);
+      } catch (renameErr) {
+        return fail(renameErr);
+      }
 
-          if (progressBarId) {
-            progressManager.failFile(progressBarId);
-          }
-          return reject(new Error("Time exceeded, trying later."));
-        },
-        1000 * 60 * 10,
-      );
+      settled = true;
+      clearTimeout(timeout);
+      if (progressBarId) {
+        progressManager.completeFile(progressBarId);
+      }
+      resolve({ hash });
+    };
 
-      /** Download process */
-      fs.mkdirSync(outputPath, { recursive: true });
-      const fileStream = fs.createWriteStream(outputFilePath);
-
-      // Track download progress
-      response.on("data", (chunk) => {
-        downloadedBytes += chunk.length;
-        if (progressBarId && contentLength > 0) {
-          progressManager.updateFile(
-            progressBarId,
-            downloadedBytes,
-            contentLength,
+    const request = https.get(
+      url,
+      {
+        headers: resumeFrom > 0 ? { Range: `bytes=${resumeFrom}-` } : {},
+      },
+      (response) => {
+        /** Redirection handler */
+        if (
+          response.statusCode &&
+          response.statusCode >= 300 &&
+          response.statusCode < 400 &&
+          response.headers.location
+        ) {
+          const redirectUrl = new URL(response.headers.location, url).href;
+          response.destroy();
+          return restart(
+            { ...attachment, url: redirectUrl },
+            redirectCount + 1,
           );
         }
-      });
 
-      response.pipe(fileStream);
+        /** The partial file is at least as large as the remote file */
+        if (response.statusCode === 416 && resumeFrom > 0) {
+          response.destroy();
+          const contentRange = parseContentRange(
+            response.headers["content-range"],
+          );
+
+          if (contentRange?.total === resumeFrom) {
+            return hashFile(partPath).then(complete).catch(fail);
+          }
 
-      fileStream.on("finish", () => {
-        clearTimeout(timeout);
-        if (progressBarId) {
-          progressManager.completeFile(progressBarId);
+          // The partial file does not match the remote one, start over
+          fs.unlinkSync(partPath);
+          return restart(attachment, redirectCount);
         }
-        setTimeout(() => {
-          fileStream.close(() => resolve());
-        }, 300);
-      });
-      request.on("error", (err) => {
-        clearTimeout(timeout);
-        if (progressBarId) {
-          progressManager.failFile(progressBarId);
+
+        /** Fails handler */
+        if (response.statusCode !== 200 && response.statusCode !== 206) {
+          response.destroy();
+          return fail(
+            new Error(
+              `Failed to get '${url} /// ${filename}' (${response.statusCode})`,
+            ),
+          );
         }
-        fs.unlink(outputFilePath, () => reject(err));
-      });
-      fileStream.on("error", (err) => {
-        clearTimeout(timeout);
-        if (progressBarId) {
-          progressManager.failFile(progressBarId);
+
+        let startOffset = 0;
+        let totalBytes = 0;
+
+        if (response.statusCode === 206) {
+          const contentRange = parseContentRange(
+            response.headers["content-range"],
+          );
+
+          // Only append when the server resumes exactly where we stopped
+          if (
+            !contentRange ||
+            contentRange.start !== resumeFrom ||
+            !resumeHash
+          ) {
+            response.destroy();
+            if (fs.existsSync(partPath)) fs.unlinkSync(partPath);
+            return restart(attachment, redirectCount);
+          }
+
+          startOffset = resumeFrom;
+          totalBytes = contentRange.total || 0;
+        } else {
+          // The server ignored the Range header, download from the start
+          totalBytes = parseInt(response.headers["content-length"], 10) || 0;
         }
-        fs.unlink(outputFilePath, () => reject(err));
-      });
-    });
+
+        if (maxBytes && totalBytes > maxBytes) {
+          response.destroy();
+          if (fs.existsSync(partPath)) fs.unlinkSync(partPath);
+          return fail(new FileTooLargeError(filename, totalBytes, maxBytes));
+        }
+
+        let downloadedBytes = startOffset;
+        const hash = startOffset > 0 ? resumeHash : crypto.createHash("sha256");
+
+        /** Timeout */
+        timeout = setTimeout(async () => {
+          if (settled) return;
+          request.destroy();
+          try {
+            await redisClient.set(`skip-download-2:${outputFilePath}`, "true", {
+              EX: 60 * 60 * 1,
+            });
+          } catch (e) {
+            // Without the skip key the file is only retried sooner
+            console.error(
+              `Failed to mark ${filename} as timed out, error: ${
+                e.message || "no error message"
+              }`,
+            );
+          }
+          // The partial file is kept so the next try resumes from it
+          fail(new Error("Time exceeded, trying later."));
+        }, DOWNLOAD_TIMEOUT);
+
+        /** Download process */
+        const fileStream = fs.createWriteStream(partPath, {
+          flags: startOffset > 0 ? "a" : "w",
+        });
+
+        // Track download progress
+        response.on("data", (chunk) => {
+          downloadedBytes += chunk.length;
+          // Servers may not send a length, the limit is checked as bytes come
+          if (maxBytes && downloadedBytes > maxBytes) {
+            request.destroy();
+            fileStream.destroy();
+            fs.rm(partPath, { force: true }, () => {});
+            return fail(
+              new FileTooLargeError(filename, downloadedBytes, maxBytes),
+            );
+          }
+          hash.update(chunk);
+          if (progressBarId && totalBytes > 0) {
+            progressManager.updateFile(
+              progressBarId,
+              downloadedBytes,
+              totalBytes,
+            );
+          }
+        });
+
+        pipeline(response, fileStream, (err) => {
+          if (settled) return;
+          if (err) return fail(err);
+
+          const writtenBytes = fs.statSync(partPath).size;
+          if (totalBytes > 0 && writtenBytes !== totalBytes) {
+            return fail(
+              new Error(
+                `Incomplete download of '${filename}' (${writtenBytes}/${totalBytes} bytes)`,
+              ),
+            );
+          }
+
+          complete(hash.digest("hex"));
+        });
+      },
+    );
+
+    activeRequests.add(request);
+    request.on("close", () => activeRequests.delete(request));
+    request.on("error", (err) => fail(err));
   });
 }
@@ -0,0 +1,199 @@
+import fs from "fs";
+
+/** Known extensions, used when the content of a file says nothing */
+const EXTENSIONS = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  jfif: "image/jpeg",
+  png: "image/png",
+  apng: "image/apng",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+  heic: "image/heic",
+  heif: "image/heif",
+  bmp: "image/bmp",
+  tif: "image/tiff",
+  tiff: "image/tiff",
+  svg: "image/svg+xml",
+  psd: "image/vnd.adobe.photoshop",
+  mp4: "video/mp4",
+  m4v: "video/x-m4v",
+  mov: "video/quicktime",
+  webm: "video/webm",
+  mkv: "video/x-matroska",
+  avi: "video/x-msvideo",
+  wmv: "video/x-ms-wmv",
+  flv: "video/x-flv",
+  ts: "video/mp2t",
+  "3gp": "video/3gpp",
+  mp3: "audio/mpeg",
+  m4a: "audio/mp4",
+  aac: "audio/aac",
+  wav: "audio/wav",
+  flac: "audio/flac",
+  ogg: "audio/ogg",
+  oga: "audio/ogg",
+  opus: "audio/opus",
+  zip: "application/zip",
+  rar: "application/vnd.rar",
+  "7z": "application/x-7z-compressed",
+  tar: "application/x-tar",
+  gz: "application/gzip",
+  pdf: "application/pdf",
+  txt: "text/plain",
+};
+
+export const FILE_TYPES = [
+  "image",
+  "video",
+  "audio",
+  "archive",
+  "document",
+  "unknown",
+];
+
+const ARCHIVE_MIMES = [
+  "application/zip",
+  "application/vnd.rar",
+  "application/x-7z-compressed",
+  "application/x-tar",
+  "application/gzip",
+];
+const DOCUMENT_MIMES = ["application/pdf", "text/plain"];
+// Photoshop files are images to people, but nothing here can decode them
+const UNREADABLE_IMAGE_MIMES = ["image/vnd.adobe.photoshop", "image/svg+xml"];
+
+/**
+ * Broad type of a MIME type: image, video, audio, archive, document or
+ * unknown. It decides how a file is probed, thumbnailed and streamed.
+ */
+export function typeFromMime(mime) {
+  if (!mime) return "unknown";
+  if (UNREADABLE_IMAGE_MIMES.includes(mime)) return "document";
+  if (mime.startsWith("image/")) return "image";
+  if (mime.startsWith("video/")) return "video";
+  if (mime.startsWith("audio/")) return "audio";
+  if (ARCHIVE_MIMES.includes(mime)) return "archive";
+  if (DOCUMENT_MIMES.includes(mime)) return "document";
+  return "unknown";
+}
+
+export function mimeFromFilename(filename) {
+  const extension = (filename.split(".").pop() || "").toLowerCase();
+  return EXTENSIONS[extension] || "application/octet-stream";
+}
+
+function startsWith(buffer, bytes, offset = 0) {
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.toString("latin1", start, end);
+}
+
+/** ISO base media files (MP4, MOV, HEIC, AVIF...) tell their kind by brand */
+function mimeFromBrand(buffer) {
+  const brands = [ascii(buffer, 8, 12)];
+  const boxSize = buffer.readUInt32BE(0);
+  for (
+    let offset = 16;
+    offset + 4 <= Math.min(boxSize, buffer.length);
+    offset += 4
+  ) {
+    brands.push(ascii(buffer, offset, offset + 4));
+  }
+
+  const hasBrand = (...names) => brands.some((brand) => names.includes(brand));
+
+  if (hasBrand("avif", "avis")) return "image/avif";
+  if (hasBrand("heic", "heix", "heim", "heis")) return "image/heic";
+  if (hasBrand("mif1", "msf1")) return "image/heif";
+  if (brands[0] === "qt  ") return "video/quicktime";
+  if (brands[0] === "M4V " || brands[0] === "M4VH") return "video/x-m4v";
+  if (brands[0] === "M4A " || brands[0] === "M4B ") return "audio/mp4";
+  if (brands[0].startsWith("3g")) return "video/3gpp";
+  return "video/mp4";
+}
+
+/** MIME type from the first bytes of a file, null when they are not known */
+export function mimeFromBytes(buffer) {
+  if (buffer.length < 4) return null;
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return "image/png";
+  }
+  if (ascii(buffer, 0, 4) === "GIF8") return "image/gif";
+  if (ascii(buffer, 0, 4) === "RIFF") {
+    const format = ascii(buffer, 8, 12);
+    if (format === "WEBP") return "image/webp";
+    if (format === "WAVE") return "audio/wav";
+    if (format === "AVI ") return "video/x-msvideo";
+  }
+  if (
+    ascii(buffer, 0, 2) === "BM" &&
+    buffer.length >= 18 &&
+    [12, 40, 52, 56, 108, 124].includes(buffer.readUInt32LE(14))
+  ) {
+    return "image/bmp";
+  }
+  if (startsWith(buffer, [0x49, 0x49, 0x2a, 0x00])) return "image/tiff";
+  if (startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])) return "image/tiff";
+  if (ascii(buffer, 0, 4) === "8BPS") return "image/vnd.adobe.photoshop";
+  if (buffer.length >= 12 && ascii(buffer, 4, 8) === "ftyp") {
+    return mimeFromBrand(buffer);
+  }
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    // Matroska and WebM share the EBML header, only the doctype differs
+    return ascii(buffer, 0, 64).includes("webm")
+      ? "video/webm"
+      : "video/x-matroska";
+  }
+  if (ascii(buffer, 0, 3) === "FLV") return "video/x-flv";
+  if (buffer[0] === 0x47 && buffer[188] === 0x47) return "video/mp2t";
+  if (ascii(buffer, 0, 3) === "ID3") return "audio/mpeg";
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+    return (buffer[1] & 0x06) === 0 ? "audio/aac" : "audio/mpeg";
+  }
+  if (ascii(buffer, 0, 4) === "fLaC") return "audio/flac";
+  if (ascii(buffer, 0, 4) === "OggS") {
+    return ascii(buffer, 28, 36).startsWith("OpusHead")
+      ? "audio/opus"
+      : "audio/ogg";
+  }
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) return "application/zip";
+  if (ascii(buffer, 0, 6) === "Rar!\x1a\x07") return "application/vnd.rar";
+  if (startsWith(buffer, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) {
+    return "application/x-7z-compressed";
+  }
+  if (startsWith(buffer, [0x1f, 0x8b])) return "application/gzip";
+  if (buffer.length > 262 && ascii(buffer, 257, 262) === "ustar") {
+    return "application/x-tar";
+  }
+  if (ascii(buffer, 0, 5) === "%PDF-") return "application/pdf";
+  return null;
+}
+
+/**
+ * Detects the MIME type and broad type of a file from its first bytes, then
+ * from its extension. Resolves with `{ mime, type }`.
+ */
+export async function detectFileType(filePath, filename = filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  let buffer;
+  try {
+    const { bytesRead, buffer: read } = await handle.read(
+      Buffer.alloc(512),
+      0,
+      512,
+      0,
+    );
+    buffer = read.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  const mime = mimeFromBytes(buffer) || mimeFromFilename(filename);
+  return { mime, type: typeFromMime(mime) };
+}
@@ -0,0 +1,354 @@
+import fs from "fs";
+import path from "path";
+import ffmpeg from "fluent-ffmpeg";
+import prisma from "./prisma.js";
+import redisClient from "./redis.js";
+import { resolveFilePath } from "./blob-store.js";
+import { sleep } from "./utils.js";
+
+/** Renditions from the best down, only those up to the source height are used */
+const RENDITIONS = [
+  { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+  { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: "480p", height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: "360p", height: 360, videoBitrate: 800, audioBitrate: 96 },
+];
+const SEGMENT_SECONDS = 6;
+const PLAYLIST = "index.m3u8";
+const SEGMENT_PATTERN = /^seg_\d{5}\.ts$/;
+// Codecs every major browser decodes, files using them are also remuxed as is
+const BROWSER_VIDEO_CODECS = ["h264"];
+const BROWSER_AUDIO_CODECS = ["aac", "mp3"];
+const MAX_TRANSCODES = parseInt(process.env.HLS_MAX_TRANSCODES, 10) || 1;
+const WAIT_TIMEOUT = 1000 * 30;
+
+export class TranscodeBusyError extends Error {
+  constructor() {
+    super("Too many videos are being transcoded, try again later");
+    this.name = "TranscodeBusyError";
+  }
+}
+
+/** Unknown rendition or segment, reported as a 404 */
+export class HlsNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "HlsNotFoundError";
+  }
+}
+
+/**
+ * Renditions are cached in `HLS_DIR` or `DOWNLOAD_DIR/_hls_`, one folder per
+ * blob like thumbnails. A rendition is complete once its playlist ends with
+ * `#EXT-X-ENDLIST`, anything else left by a stopped process is redone.
+ * Transcodes write to a `<rendition>.tmp` folder swapped in once they are
+ * done, so segments already listed stay served meanwhile.
+ */
+export function hlsRoot() {
+  return process.env.HLS_DIR || path.join(process.env.DOWNLOAD_DIR, "_hls_");
+}
+
+function cacheDir(file) {
+  const key = file.hash || `file-${file.id}`;
+  return path.join(hlsRoot(), key.slice(0, 2), key);
+}
+
+function renditionDir(file, rendition) {
+  return path.join(cacheDir(file), rendition);
+}
+
+/** Deletes every cached rendition of a file */
+export function removeRenditions(file) {
+  fs.rmSync(cacheDir(file), { recursive: true, force: true });
+}
+
+function probe(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, data) =>
+      err ? reject(err) : resolve(data),
+    );
+  });
+}
+
+/** Codecs and height of a video, probed once then cached a day */
+async function sourceInfo(file) {
+  const cacheKey = `hls:source:${file.id}`;
+  const cached = await redisClient.get(cacheKey);
+  if (cached) return JSON.parse(cached);
+
+  const metadata = await prisma.fileMetadata.findUnique({
+    where: { fileId: file.id },
+  });
+  const { streams } = await probe(resolveFilePath(file));
+  const video = streams.find((stream) => stream.codec_type === "video");
+  const audio = streams.find((stream) => stream.codec_type === "audio");
+  if (!video) throw new Error("The file has no video stream");
+
+  const info = {
+    height: metadata?.height || video.height,
+    bitrate: metadata?.bitrate || parseInt(video.bit_rate, 10) || null,
+    videoCodec: video.codec_name,
+    audioCodec: audio?.codec_name || null,
+  };
+  await redisClient.set(cacheKey, JSON.stringify(info), { EX: 60 * 60 * 24 });
+  return info;
+}
+
+/**
+ * Whether browsers can not play the file as downloaded, from the container
+ * and the codec found by metadata extraction.
+ */
+export function needsTranscode(file, metadata) {
+  if (!metadata?.codec) return false;
+  return (
+    !BROWSER_VIDEO_CODECS.includes(metadata.codec) ||
+    (file.mime || "").includes("matroska") ||
+    path.extname(file.filename).toLowerCase() === ".mkv"
+  );
+}
+
+/** Renditions offered for a video, `source` is a remux of browser codecs */
+export async function listRenditions(file) {
+  const info = await sourceInfo(file);
+  const renditions = RENDITIONS.filter(
+    (rendition) => rendition.height <= info.height,
+  );
+  if (renditions.length === 0) renditions.push(RENDITIONS.at(-1));
+
+  if (
+    BROWSER_VIDEO_CODECS.includes(info.videoCodec) &&
+    (!info.audioCodec || BROWSER_AUDIO_CODECS.includes(info.audioCodec))
+  ) {
+    renditions.unshift({
+      name: "source",
+      height: info.height,
+      videoBitrate: Math.round((info.bitrate || 8000 * 1000) / 1000),
+      audioBitrate: 0,
+      copy: true,
+    });
+  }
+  return renditions;
+}
+
+/** Master playlist, `uri` maps a rendition playlist to its URL */
+export async function masterPlaylist(file, uri) {
+  const renditions = await listRenditions(file);
+  const lines = ["#EXTM3U", "#EXT-X-VERSION:3"];
+
+  for (const rendition of renditions) {
+    const bandwidth = (rendition.videoBitrate + rendition.audioBitrate) * 1000;
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},NAME="${rendition.name}"`,
+      uri(`${rendition.name}/${PLAYLIST}`),
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+/** Content of a file, null when it is not there or not anymore */
+function readIfExists(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+function isComplete(playlistPath) {
+  return (
+    fs.existsSync(playlistPath) &&
+    fs.readFileSync(playlistPath, "utf8").includes("#EXT-X-ENDLIST")
+  );
+}
+
+const running = new Map();
+const waiting = [];
+let activeTranscodes = 0;
+
+/** Folder a rendition is read from, the one being written while it runs */
+function liveDir(dir) {
+  return running.get(dir)?.workDir || dir;
+}
+
+function outputOptions(rendition, dir) {
+  // Flags and values stay separate arguments, paths may contain spaces
+  const options = [
+    ["-map", "0:v:0"],
+    ["-map", "0:a:0?"],
+    ["-f", "hls"],
+    ["-hls_time", `${SEGMENT_SECONDS}`],
+    ["-hls_list_size", "0"],
+    // Players reload the playlist until the transcode is done
+    ["-hls_playlist_type", "event"],
+    ["-hls_segment_filename", path.join(dir, "seg_%05d.ts")],
+  ];
+
+  if (rendition.copy) return [["-c", "copy"], ...options].flat();
+
+  return [
+    ["-vf", `scale=-2:${rendition.height}`],
+    ["-c:v", "libx264"],
+    ["-preset", "veryfast"],
+    ["-profile:v", "main"],
+    ["-b:v", `${rendition.videoBitrate}k`],
+    ["-maxrate", `${Math.round(rendition.videoBitrate * 1.07)}k`],
+    ["-bufsize", `${rendition.videoBitrate * 2}k`],
+    // Keyframes on segment boundaries, so renditions can be switched
+    ["-force_key_frames", `expr:gte(t,n_forced*${SEGMENT_SECONDS})`],
+    ["-c:a", "aac"],
+    ["-b:a", `${rendition.audioBitrate}k`],
+    ["-ac", "2"],
+    ...options,
+  ].flat();
+}
+
+/**
+ * Starts the transcode of a rendition unless it is cached or in progress.
+ * Only `HLS_MAX_TRANSCODES` run at once, others wait for a free slot.
+ */
+function startTranscode(file, rendition) {
+  const dir = renditionDir(file, rendition.name);
+  const playlistPath = path.join(dir, PLAYLIST);
+  if (running.has(dir)) return running.get(dir).done;
+  if (isComplete(playlistPath)) return Promise.resolve(playlistPath);
+
+  const entry = { command: null, done: null, workDir: `${dir}.tmp` };
+  let started = false;
+  entry.done = (async () => {
+    while (activeTranscodes >= MAX_TRANSCODES) {
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+    activeTranscodes++;
+    started = true;
+
+    // Leftovers of an interrupted transcode, only its own folder is redone
+    fs.rmSync(entry.workDir, { recursive: true, force: true });
+    fs.mkdirSync(entry.workDir, { recursive: true });
+
+    await new Promise((resolve, reject) => {
+      entry.command = ffmpeg(resolveFilePath(file))
+        // Spread, fluent-ffmpeg splits array items holding one space
+        .outputOptions(...outputOptions(rendition, entry.workDir))
+        .output(path.join(entry.workDir, PLAYLIST))
+        .on("end", resolve)
+        .on("error", reject);
+      entry.command.run();
+    });
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.renameSync(entry.workDir, dir);
+    return playlistPath;
+  })().finally(() => {
+    running.delete(dir);
+    if (started) {
+      fs.rmSync(entry.workDir, { recursive: true, force: true });
+      activeTranscodes--;
+      waiting.shift()?.();
+    }
+  });
+
+  running.set(dir, entry);
+  return entry.done;
+}
+
+/** Waits until `ready()`, failing with the transcode or after a while */
+async function waitUntil(ready, transcode) {
+  let failed = null;
+  let finished = false;
+  transcode.then(
+    () => (finished = true),
+    (e) => (failed = e),
+  );
+
+  const deadline = Date.now() + WAIT_TIMEOUT;
+  while (!ready()) {
+    if (failed) throw failed;
+    if (finished) return ready();
+    if (Date.now() > deadline) throw new TranscodeBusyError();
+    await sleep(250);
+  }
+  return true;
+}
+
+async function findRendition(file, name) {
+  const rendition = (await listRenditions(file)).find(
+    (candidate) => candidate.name === name,
+  );
+  if (!rendition) throw new HlsNotFoundError(`Unknown rendition: ${name}`);
+  return rendition;
+}
+
+/**
+ * Resolves with the content of a rendition playlist, starting its transcode
+ * on the first request. The playlist grows as segments are written.
+ */
+export async function readRenditionPlaylist(file, name) {
+  const rendition = await findRendition(file, name);
+  const dir = renditionDir(file, rendition.name);
+  const playlistPath = path.join(dir, PLAYLIST);
+  if (isComplete(playlistPath)) return fs.readFileSync(playlistPath, "utf8");
+
+  // The transcode output, or what an interrupted one left until it starts
+  const read = () =>
+    readIfExists(path.join(liveDir(dir), PLAYLIST)) ??
+    readIfExists(playlistPath);
+  let playlist = null;
+  await waitUntil(
+    () => (playlist = read()) !== null,
+    startTranscode(file, rendition),
+  );
+  return playlist;
+}
+
+/**
+ * Resolves with the path of a segment, from the folder whose playlist lists
+ * it. Segments being written are only served once they are listed.
+ */
+export async function getSegment(file, name, segment) {
+  if (!/^\w+$/.test(name) || !SEGMENT_PATTERN.test(segment)) {
+    throw new HlsNotFoundError(`Invalid segment: ${name}/${segment}`);
+  }
+  const dir = renditionDir(file, name);
+  const find = () =>
+    [liveDir(dir), dir]
+      .map((candidate) => path.join(candidate, segment))
+      .find(
+        (segmentPath) =>
+          readIfExists(
+            path.join(path.dirname(segmentPath), PLAYLIST),
+          )?.includes(segment) && fs.existsSync(segmentPath),
+      );
+
+  let segmentPath = find();
+  if (!segmentPath) {
+    await waitUntil(
+      () => (segmentPath = find()),
+      startTranscode(file, await findRendition(file, name)),
+    );
+  }
+  if (!segmentPath) throw new HlsNotFoundError(`Unknown segment: ${segment}`);
+  return segmentPath;
+}
+
+/** Transcodes every rendition ahead of time, for the pre-transcode job */
+export async function transcodeAll(file, { signal = null } = {}) {
+  for (const rendition of await listRenditions(file)) {
+    signal?.throwIfAborted();
+    const transcode = startTranscode(file, rendition);
+    const abort = () =>
+      running.get(renditionDir(file, rendition.name))?.command?.kill();
+    signal?.addEventListener("abort", abort);
+    try {
+      await transcode;
+    } finally {
+      signal?.removeEventListener("abort", abort);
+    }
+  }
+}
+
+/** Kills the transcodes in progress, they start over on the next request */
+export function stopTranscodes() {
+  for (const { command } of running.values()) command?.kill();
+  return running.size;
+}
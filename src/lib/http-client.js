@@ -0,0 +1,145 @@
+import { sleep } from "./utils.js";
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504, 520, 521, 522];
+
+export class HttpError extends Error {
+  constructor(url, status, body) {
+    super(`Request to ${url} failed (${status}): ${body}`);
+    this.name = "HttpError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Token bucket shared by every request of a client. Waiters are served in
+ * order, and a `Retry-After` from the server pauses the whole bucket.
+ */
+class TokenBucket {
+  constructor(rate, capacity) {
+    this.rate = rate;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  take() {
+    const turn = this.queue.then(() => this.wait());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async wait() {
+    while (true) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      this.tokens = Math.min(
+        this.capacity,
+        this.tokens + ((now - this.updatedAt) / 1000) * this.rate,
+      );
+      this.updatedAt = now;
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(((1 - this.tokens) / this.rate) * 1000);
+    }
+  }
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+/** Parses a `Retry-After` header given in seconds or as an HTTP date */
+function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+class HttpClient {
+  constructor({
+    requestsPerSecond = 1,
+    burst = 1,
+    maxRetries = 5,
+    baseDelay = 1000,
+    maxDelay = 1000 * 60,
+    headers = {},
+  } = {}) {
+    this.bucket = new TokenBucket(requestsPerSecond, burst);
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.headers = headers;
+  }
+
+  /** Exponential backoff with full jitter */
+  backoff(attempt) {
+    return (
+      Math.random() * Math.min(this.maxDelay, this.baseDelay * 2 ** attempt)
+    );
+  }
+
+  /**
+   * Sends a rate limited request, retrying on network errors, 429 and 5xx.
+   * Resolves with the response once it is OK, throws an HttpError otherwise.
+   */
+  async request(url, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.bucket.take();
+
+      let response;
+      try {
+        response = await fetch(url, {
+          ...options,
+          headers: { ...this.headers, ...options.headers },
+        });
+      } catch (e) {
+        if (attempt >= this.maxRetries) throw e;
+        await sleep(this.backoff(attempt));
+        continue;
+      }
+
+      if (response.ok) return response;
+
+      const body = await response.text().catch(() => "");
+      if (
+        !RETRYABLE_STATUSES.includes(response.status) ||
+        attempt >= this.maxRetries
+      ) {
+        throw new HttpError(url, response.status, body);
+      }
+
+      const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+      if (retryAfter !== null) {
+        this.bucket.pause(Math.min(retryAfter, this.maxDelay));
+      } else {
+        await sleep(this.backoff(attempt));
+      }
+    }
+  }
+
+  async getJson(url, options = {}) {
+    const response = await this.request(url, options);
+    return response.json();
+  }
+}
+
+export function createHttpClient(options = {}) {
+  return new HttpClient(options);
+}
+
+export { HttpClient };
@@ -0,0 +1,327 @@
+import prisma from "./prisma.js";
+import { isWithinWindows } from "./time-windows.js";
+import { sleep } from "./utils.js";
+
+export const JOB_TYPES = {
+  ARTIST_SCRAPE: "artist-scrape",
+  ARTIST_BACKFILL: "artist-backfill",
+  FILE_DOWNLOAD: "file-download",
+  METADATA_BACKFILL: "metadata-backfill",
+  THUMBNAILS: "thumbnails",
+  HLS_TRANSCODE: "hls-transcode",
+  ARCHIVE_EXTRACT: "archive-extract",
+};
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+export const JOB_PRIORITY = {
+  LOW: -10,
+  NORMAL: 0,
+  HIGH: 10,
+  URGENT: 100,
+};
+
+const POLL_INTERVAL = 2000;
+const BACKOFF_BASE = 1000 * 30;
+const BACKOFF_MAX = 1000 * 60 * 60 * 6;
+const COMPLETED_RETENTION = 1000 * 60 * 60 * 24 * 7;
+
+/**
+ * Durable job queue stored in the `Job` table. Jobs survive restarts: the ones
+ * left `running` by a crashed process are put back in the queue on start.
+ */
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.active = new Map();
+    this.started = false;
+    this.timer = null;
+  }
+
+  /**
+   * Sets the handler of a job type. With `windows`, from `parseWindows()`,
+   * jobs of that type are only started within those time windows.
+   */
+  register(type, handler, { concurrency = 1, windows = null } = {}) {
+    this.handlers.set(type, { handler, concurrency, windows });
+  }
+
+  /**
+   * Adds a job to the queue. Jobs sharing a `dedupeKey` are only queued once,
+   * a second enqueue bumps the priority of the pending job instead.
+   */
+  async enqueue(
+    type,
+    payload,
+    {
+      priority = JOB_PRIORITY.NORMAL,
+      maxAttempts = 5,
+      runAt = new Date(),
+      dedupeKey = null,
+    } = {},
+  ) {
+    if (dedupeKey) {
+      const pending = await prisma.job.findFirst({
+        where: {
+          dedupeKey,
+          status: { in: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING] },
+        },
+      });
+
+      if (pending) {
+        if (pending.status === JOB_STATUS.QUEUED && priority > pending.priority)
+          return prisma.job.update({
+            where: { id: pending.id },
+            data: { priority, runAt: new Date() },
+          });
+        return pending;
+      }
+    }
+
+    return prisma.job.create({
+      data: { type, payload, priority, maxAttempts, runAt, dedupeKey },
+    });
+  }
+
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    // Jobs still marked running were interrupted by a crash or restart
+    const recovered = await prisma.job.updateMany({
+      where: { status: JOB_STATUS.RUNNING },
+      data: { status: JOB_STATUS.QUEUED, startedAt: null },
+    });
+    if (recovered.count > 0) {
+      console.log(`Recovered ${recovered.count} interrupted jobs`);
+    }
+
+    this.poll();
+  }
+
+  async poll() {
+    try {
+      for (const [type, { concurrency, windows }] of this.handlers) {
+        if (!isWithinWindows(windows)) continue;
+        while (this.started && this.activeCount(type) < concurrency) {
+          const job = await this.claim(type);
+          if (!job) break;
+          this.execute(job);
+        }
+      }
+    } catch (e) {
+      console.error(
+        `Failed to poll the job queue, error: ${e.message || "no error message"}`,
+      );
+    }
+
+    if (this.started) {
+      this.timer = setTimeout(() => this.poll(), POLL_INTERVAL);
+    }
+  }
+
+  activeCount(type) {
+    let count = 0;
+    for (const { job } of this.active.values()) {
+      if (job.type === type) count++;
+    }
+    return count;
+  }
+
+  async claim(type) {
+    while (true) {
+      const job = await prisma.job.findFirst({
+        where: {
+          type,
+          status: JOB_STATUS.QUEUED,
+          runAt: { lte: new Date() },
+        },
+        orderBy: [{ priority: "desc" }, { runAt: "asc" }, { createdAt: "asc" }],
+      });
+      if (!job) return null;
+
+      // Only one worker may move a job out of the queued state
+      const claimed = await prisma.job.updateMany({
+        where: { id: job.id, status: JOB_STATUS.QUEUED },
+        data: {
+          status: JOB_STATUS.RUNNING,
+          startedAt: new Date(),
+          attempts: { increment: 1 },
+        },
+      });
+      if (claimed.count === 1) {
+        return { ...job, attempts: job.attempts + 1 };
+      }
+    }
+  }
+
+  async execute(job) {
+    const { handler } = this.handlers.get(job.type);
+    const controller = new AbortController();
+    this.active.set(job.id, { job, controller });
+
+    try {
+      await handler(job.payload, { ...job, signal: controller.signal });
+      controller.signal.throwIfAborted();
+      await prisma.job.update({
+        where: { id: job.id },
+        data: {
+          status: JOB_STATUS.COMPLETED,
+          finishedAt: new Date(),
+          lastError: null,
+        },
+      });
+    } catch (e) {
+      // Cancelled jobs were already marked by cancel()
+      if (controller.signal.aborted) return;
+
+      const lastError = e.message || "no error message";
+      const exhausted = job.attempts >= job.maxAttempts;
+
+      await prisma.job
+        .update({
+          where: { id: job.id },
+          data: exhausted
+            ? { status: JOB_STATUS.FAILED, finishedAt: new Date(), lastError }
+            : {
+                status: JOB_STATUS.QUEUED,
+                runAt: new Date(Date.now() + this.backoff(job.attempts)),
+                lastError,
+              },
+        })
+        .catch((updateError) =>
+          console.error(
+            `Failed to update job ${job.id}, error: ${
+              updateError.message || "no error message"
+            }`,
+          ),
+        );
+    } finally {
+      this.active.delete(job.id);
+    }
+  }
+
+  /** Stops taking jobs and waits up to `timeout` ms for the running ones */
+  async drain(timeout) {
+    this.started = false;
+    clearTimeout(this.timer);
+
+    const deadline = Date.now() + timeout;
+    while (this.active.size > 0 && Date.now() < deadline) {
+      await sleep(250);
+    }
+    return this.active.size === 0;
+  }
+
+  /**
+   * Aborts the jobs still running and puts them back in the queue, without
+   * using up an attempt, so the next start resumes them.
+   */
+  async interrupt(timeout = 2000) {
+    const ids = [...this.active.keys()];
+    if (ids.length === 0) return 0;
+
+    const interrupted = await prisma.job.updateMany({
+      where: { id: { in: ids }, status: JOB_STATUS.RUNNING },
+      data: {
+        status: JOB_STATUS.QUEUED,
+        startedAt: null,
+        attempts: { decrement: 1 },
+      },
+    });
+    for (const { controller } of this.active.values()) {
+      controller.abort(new Error("Shutting down"));
+    }
+
+    // Give handlers a moment to unwind before connections are closed
+    const deadline = Date.now() + timeout;
+    while (this.active.size > 0 && Date.now() < deadline) {
+      await sleep(100);
+    }
+    return interrupted.count;
+  }
+
+  /** Exponential backoff with jitter */
+  backoff(attempts) {
+    const ceiling = Math.min(BACKOFF_BASE * 2 ** (attempts - 1), BACKOFF_MAX);
+    return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+  }
+
+  /**
+   * Cancels a queued job, or aborts it when it is running. Returns the
+   * updated job, or null when it was already finished.
+   */
+  async cancel(id) {
+    const cancelled = await prisma.job.updateMany({
+      where: {
+        id,
+        status: { in: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING] },
+      },
+      data: { status: JOB_STATUS.CANCELLED, finishedAt: new Date() },
+    });
+    if (cancelled.count === 0) return null;
+
+    this.active.get(id)?.controller.abort();
+
+    return prisma.job.findUnique({ where: { id } });
+  }
+
+  /** Puts a failed or cancelled job back in the queue with fresh attempts */
+  async retry(id) {
+    const retried = await prisma.job.updateMany({
+      where: {
+        id,
+        status: { in: [JOB_STATUS.FAILED, JOB_STATUS.CANCELLED] },
+      },
+      data: {
+        status: JOB_STATUS.QUEUED,
+        attempts: 0,
+        runAt: new Date(),
+        lastError: null,
+        startedAt: null,
+        finishedAt: null,
+      },
+    });
+    if (retried.count === 0) return null;
+
+    return prisma.job.findUnique({ where: { id } });
+  }
+
+  async retryFailed(type) {
+    return prisma.job.updateMany({
+      where: { type, status: JOB_STATUS.FAILED },
+      data: {
+        status: JOB_STATUS.QUEUED,
+        attempts: 0,
+        runAt: new Date(),
+        lastError: null,
+        startedAt: null,
+        finishedAt: null,
+      },
+    });
+  }
+
+  count(where = {}) {
+    return prisma.job.count({ where });
+  }
+
+  prune() {
+    return prisma.job.deleteMany({
+      where: {
+        status: JOB_STATUS.COMPLETED,
+        finishedAt: { lt: new Date(Date.now() - COMPLETED_RETENTION) },
+      },
+    });
+  }
+}
+
+const jobQueue = globalThis.jobQueue || new JobQueue();
+globalThis.jobQueue = jobQueue;
+
+export { jobQueue };
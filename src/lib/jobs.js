@@ -0,0 +1,378 @@
+import prisma from "./prisma.js";
+import { createPipeline } from "./pipeline.js";
+import { getProgressManager } from "./progress-manager.js";
+import { jobQueue, JOB_PRIORITY, JOB_STATUS, JOB_TYPES } from "./job-queue.js";
+import {
+  nextScrapeInterval,
+  policyPipelineOptions,
+  resolvePolicy,
+} from "./policies.js";
+import { parseWindows } from "./time-windows.js";
+import { backfillMetadata } from "./metadata.js";
+import { generateThumbnails } from "./thumbnails.js";
+import { needsTranscode, transcodeAll } from "./hls.js";
+import { DownloadAbortedError } from "./downloader.js";
+import {
+  ArchiveRefusedError,
+  extractArchive,
+  isExtractable,
+} from "./archives.js";
+
+/**
+ * Queues a scrape of an artist. Scrapes are incremental unless `full` asks
+ * for a backfill of every post, queued as its own job type so heavy job
+ * windows apply to it.
+ */
+export function enqueueArtistScrape(
+  artistId,
+  { priority = JOB_PRIORITY.NORMAL, full = false } = {},
+) {
+  return jobQueue.enqueue(
+    full ? JOB_TYPES.ARTIST_BACKFILL : JOB_TYPES.ARTIST_SCRAPE,
+    { artistId, full },
+    {
+      priority,
+      maxAttempts: 3,
+      // A pending incremental scrape must not swallow a requested backfill
+      dedupeKey: full ? `artist:${artistId}:full` : `artist:${artistId}`,
+    },
+  );
+}
+
+function fileDownloadKey(postId, filename) {
+  return `file:${postId}:${filename}`;
+}
+
+export function enqueueFileDownload(
+  artistId,
+  postId,
+  attachment,
+  { priority = JOB_PRIORITY.NORMAL } = {},
+) {
+  return jobQueue.enqueue(
+    JOB_TYPES.FILE_DOWNLOAD,
+    { artistId, postId, attachment },
+    {
+      priority,
+      maxAttempts: 8,
+      dedupeKey: fileDownloadKey(postId, attachment.filename),
+    },
+  );
+}
+
+/** Queues a metadata probe of every file recorded without it */
+export function enqueueMetadataBackfill({ priority = JOB_PRIORITY.LOW } = {}) {
+  return jobQueue.enqueue(
+    JOB_TYPES.METADATA_BACKFILL,
+    {},
+    { priority, maxAttempts: 3, dedupeKey: "metadata-backfill" },
+  );
+}
+
+/** Queues the thumbnails of a new image or video, ahead of the first view */
+export function enqueueThumbnails(fileId) {
+  return jobQueue.enqueue(
+    JOB_TYPES.THUMBNAILS,
+    { fileId },
+    {
+      priority: JOB_PRIORITY.LOW,
+      maxAttempts: 2,
+      dedupeKey: `thumbnails:${fileId}`,
+    },
+  );
+}
+
+/** Queues the HLS renditions of a video, so it plays without waiting */
+export function enqueueTranscode(fileId, { priority = JOB_PRIORITY.LOW } = {}) {
+  return jobQueue.enqueue(
+    JOB_TYPES.HLS_TRANSCODE,
+    { fileId },
+    { priority, maxAttempts: 2, dedupeKey: `hls:${fileId}` },
+  );
+}
+
+/** Queues the extraction of the media files of a zip, rar or 7z archive */
+export function enqueueArchiveExtraction(fileId) {
+  return jobQueue.enqueue(
+    JOB_TYPES.ARCHIVE_EXTRACT,
+    { fileId },
+    {
+      priority: JOB_PRIORITY.LOW,
+      maxAttempts: 3,
+      dedupeKey: `archive:${fileId}`,
+    },
+  );
+}
+
+/**
+ * Background work on a new file: thumbnails, with `HLS_PRETRANSCODE`
+ * renditions of videos browsers can not play as downloaded and with
+ * `ARCHIVE_EXTRACT` the extraction of archives.
+ */
+async function queueFileProcessing(file) {
+  try {
+    if (isExtractable(file) && process.env.ARCHIVE_EXTRACT === "true") {
+      await enqueueArchiveExtraction(file.id);
+    }
+    if (file.type !== "image" && file.type !== "video") return;
+
+    await enqueueThumbnails(file.id);
+
+    if (file.type === "video" && process.env.HLS_PRETRANSCODE === "true") {
+      const metadata = await prisma.fileMetadata.findUnique({
+        where: { fileId: file.id },
+      });
+      if (needsTranscode(file, metadata)) await enqueueTranscode(file.id);
+    }
+  } catch (e) {
+    getProgressManager().log(
+      `Failed to queue processing of ${file.filename}, error: ${
+        e.message || "no error message"
+      }`,
+      "error",
+    );
+  }
+}
+
+/** Cancels the pending jobs of an artist, resolves with the cancelled ones */
+export async function cancelArtistJobs(
+  artistId,
+  types = [JOB_TYPES.ARTIST_SCRAPE, JOB_TYPES.ARTIST_BACKFILL],
+) {
+  const jobs = await prisma.job.findMany({
+    where: {
+      type: { in: types },
+      status: { in: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING] },
+      payload: { path: ["artistId"], equals: artistId },
+    },
+  });
+
+  const cancelled = [];
+  for (const job of jobs) {
+    const cancelledJob = await jobQueue.cancel(job.id);
+    if (cancelledJob) cancelled.push(cancelledJob);
+  }
+  return cancelled;
+}
+
+/**
+ * Plans the next scrape of an artist from what the last one found. The
+ * pipeline moves `lastPostId` when there are new posts.
+ */
+async function recordScrape(artist, policy) {
+  const now = new Date();
+  const { lastPostId, lastPostPublishedAt } = await prisma.artist.findUnique({
+    where: { id: artist.id },
+    select: { lastPostId: true, lastPostPublishedAt: true },
+  });
+  const foundNewPosts = lastPostId !== artist.lastPostId;
+  const interval = nextScrapeInterval(artist, policy, foundNewPosts);
+
+  await prisma.artist.update({
+    where: { id: artist.id },
+    data: {
+      lastScrapedAt: now,
+      nextScrapeAt: new Date(now.getTime() + interval),
+      scrapeIntervalMinutes: Math.round(interval / 60 / 1000),
+      ...(foundNewPosts ? { lastNewPostAt: lastPostPublishedAt || now } : {}),
+    },
+  });
+}
+
+async function scrapeArtist({ artistId, full = false }, { signal }) {
+  const progressManager = getProgressManager();
+  const artist = await prisma.artist.findUnique({
+    where: { id: artistId },
+    include: { policy: true },
+  });
+  if (!artist) return;
+
+  const policy = resolvePolicy(artist);
+
+  try {
+    const pipeline = createPipeline({
+      ...policyPipelineOptions(policy),
+      postLimit: full ? null : policy.maxPosts,
+      incremental: !full,
+      signal,
+    });
+
+    // Failed files are retried later on their own
+    pipeline.on("file:error", ({ postDB, attachment, error }) => {
+      // Aborted on shutdown, the next scrape picks the file up again
+      if (error instanceof DownloadAbortedError) return;
+      enqueueFileDownload(artist.id, postDB.id, attachment).catch((e) =>
+        progressManager.log(
+          `Failed to queue ${attachment.filename}, error: ${
+            e.message || "no error message"
+          }`,
+          "error",
+        ),
+      );
+    });
+
+    pipeline.on("file:complete", ({ file }) => queueFileProcessing(file));
+
+    await pipeline.run({ type: "artist", artist });
+    await recordScrape(artist, policy);
+
+    progressManager.log(
+      `Finished processing artist ${artist.name}.`,
+      "success",
+    );
+  } catch (e) {
+    if (signal.aborted) {
+      progressManager.log(`Cancelled processing artist ${artist.name}.`);
+      throw e;
+    }
+    progressManager.log(
+      `Failed to process artist ${artist.name}, error: ${
+        e.message || "no error message"
+      }`,
+      "error",
+    );
+    throw e;
+  }
+}
+
+async function downloadAttachment({ artistId, postId, attachment }) {
+  const artist = await prisma.artist.findUnique({ where: { id: artistId } });
+  const postDB = await prisma.post.findUnique({ where: { id: postId } });
+  if (!artist || !postDB) return;
+
+  const { file, skipped } = await createPipeline().storeAttachment(
+    { type: "artist", artist },
+    postDB,
+    attachment,
+  );
+  if (file) await queueFileProcessing(file);
+  if (skipped !== "missing") {
+    await completePostDownloads(
+      postDB,
+      fileDownloadKey(postId, attachment.filename),
+    );
+  }
+}
+
+/**
+ * Marks a post complete once the last of its retried downloads succeeds.
+ * Scrapes only queue the attachments they failed to download and have moved
+ * past the post by then, so the latest job of every other attachment must
+ * have completed.
+ */
+async function completePostDownloads(postDB, currentKey) {
+  if (postDB.completedAt) return;
+
+  const jobs = await prisma.job.findMany({
+    where: {
+      type: JOB_TYPES.FILE_DOWNLOAD,
+      dedupeKey: { startsWith: fileDownloadKey(postDB.id, "") },
+    },
+    select: { dedupeKey: true, status: true },
+    orderBy: { createdAt: "asc" },
+  });
+  const latest = new Map(jobs.map((job) => [job.dedupeKey, job.status]));
+  latest.delete(currentKey);
+
+  if ([...latest.values()].every((status) => status === JOB_STATUS.COMPLETED)) {
+    await prisma.post.update({
+      where: { id: postDB.id },
+      data: { completedAt: new Date() },
+    });
+  }
+}
+
+async function buildThumbnails({ fileId }) {
+  const file = await prisma.file.findUnique({
+    where: { id: fileId },
+    include: { artist: true },
+  });
+  if (!file) return;
+
+  await generateThumbnails(file);
+}
+
+async function transcodeVideo({ fileId }, { signal }) {
+  const file = await prisma.file.findUnique({
+    where: { id: fileId },
+    include: { artist: true },
+  });
+  if (!file) return;
+
+  await transcodeAll(file, { signal });
+}
+
+async function extractArchiveEntries({ fileId }, { signal }) {
+  const progressManager = getProgressManager();
+  const file = await prisma.file.findUnique({
+    where: { id: fileId },
+    include: { artist: true },
+  });
+  if (!file) return;
+
+  let entries;
+  try {
+    entries = await extractArchive(file, { signal });
+  } catch (e) {
+    // Retrying a refused archive would refuse it again
+    if (!(e instanceof ArchiveRefusedError)) throw e;
+    progressManager.log(
+      `Refused to extract ${file.filename}, error: ${e.message}`,
+      "error",
+    );
+    return;
+  }
+
+  for (const entry of entries) await queueFileProcessing(entry);
+  progressManager.log(
+    `Extracted ${entries.length} files from ${file.filename}.`,
+    "success",
+  );
+}
+
+async function backfillFileMetadata(payload, { signal }) {
+  const progressManager = getProgressManager();
+  const stats = await backfillMetadata({
+    signal,
+    onError: (file, e) =>
+      progressManager.log(
+        `Failed to read metadata of ${file.filename}, error: ${
+          e.message || "no error message"
+        }`,
+        "error",
+      ),
+  });
+
+  progressManager.log(
+    `Recorded metadata of ${stats.files} files and ${stats.popularFiles} popular files, ${stats.failed} failed.`,
+    "success",
+  );
+}
+
+export function registerJobHandlers() {
+  // Backfills and file retries only run within these windows, e.g. at night
+  const heavyWindows = parseWindows(process.env.HEAVY_JOB_WINDOWS);
+
+  jobQueue.register(JOB_TYPES.ARTIST_SCRAPE, scrapeArtist, { concurrency: 1 });
+  jobQueue.register(JOB_TYPES.ARTIST_BACKFILL, scrapeArtist, {
+    concurrency: 1,
+    windows: heavyWindows,
+  });
+  jobQueue.register(JOB_TYPES.FILE_DOWNLOAD, downloadAttachment, {
+    concurrency: 2,
+    windows: heavyWindows,
+  });
+  jobQueue.register(JOB_TYPES.THUMBNAILS, buildThumbnails, { concurrency: 1 });
+  jobQueue.register(JOB_TYPES.HLS_TRANSCODE, transcodeVideo, {
+    concurrency: 1,
+    windows: heavyWindows,
+  });
+  jobQueue.register(JOB_TYPES.ARCHIVE_EXTRACT, extractArchiveEntries, {
+    concurrency: 1,
+    windows: heavyWindows,
+  });
+  jobQueue.register(JOB_TYPES.METADATA_BACKFILL, backfillFileMetadata, {
+    concurrency: 1,
+    windows: heavyWindows,
+  });
+}
@@ -0,0 +1,159 @@
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import ffmpeg from "fluent-ffmpeg";
+import prisma from "./prisma.js";
+import { resolveFilePath } from "./blob-store.js";
+import { detectFileType } from "./file-type.js";
+
+const BATCH_SIZE = 100;
+
+function ffprobe(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, data) =>
+      err ? reject(err) : resolve(data),
+    );
+  });
+}
+
+function toInt(value) {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Reads what can be known of a file on disk: dimensions of images and
+ * videos, duration, codec and bitrate of videos and audio, with its size and
+ * MIME type. Throws when the file can not be read.
+ */
+export async function probeFile(filePath, filename) {
+  const { mime, type } = await detectFileType(filePath, filename);
+  const metadata = {
+    type,
+    width: null,
+    height: null,
+    duration: null,
+    codec: null,
+    bitrate: null,
+    size: fs.statSync(filePath).size,
+    mime,
+  };
+
+  if (type === "image") {
+    const { width, height, format } = await sharp(filePath).metadata();
+    return { ...metadata, width, height, codec: format || null };
+  }
+
+  if (type === "video" || type === "audio") {
+    const { format, streams } = await ffprobe(filePath);
+    const stream =
+      streams.find((candidate) => candidate.codec_type === type) ||
+      streams.find((candidate) => candidate.codec_type === "audio");
+    return {
+      ...metadata,
+      width: toInt(stream?.width),
+      height: toInt(stream?.height),
+      duration: toInt(format.duration),
+      codec: stream?.codec_name || null,
+      bitrate: toInt(format.bit_rate),
+    };
+  }
+
+  return metadata;
+}
+
+/**
+ * Probes a `File` row, which needs its artist, and stores its metadata. The
+ * type of the row is corrected when the content disagrees with it.
+ */
+export async function recordFileMetadata(
+  file,
+  filePath = resolveFilePath(file),
+) {
+  const metadata = await probeFile(filePath, file.filename);
+  if (file.type !== metadata.type || file.mime !== metadata.mime) {
+    await prisma.file.update({
+      where: { id: file.id },
+      data: { type: metadata.type, mime: metadata.mime },
+    });
+  }
+  return prisma.fileMetadata.upsert({
+    where: { fileId: file.id },
+    create: { ...metadata, fileId: file.id },
+    update: metadata,
+  });
+}
+
+/** Popular files are stored by name in the `_popular_` folder */
+export async function recordPopularFileMetadata(
+  file,
+  filePath = path.join(process.env.DOWNLOAD_DIR, "_popular_", file.filename),
+) {
+  const metadata = await probeFile(filePath, file.filename);
+  return prisma.popularFileMetadata.upsert({
+    where: { fileId: file.id },
+    create: { ...metadata, fileId: file.id },
+    update: metadata,
+  });
+}
+
+/**
+ * Fills the metadata of every file that has none, or only what clients used
+ * to send before size was recorded, and the type of files not sniffed yet.
+ * Stops between files once `signal` is aborted, the next run picks up the
+ * rest.
+ */
+export async function backfillMetadata({ signal = null, onError } = {}) {
+  const stats = { files: 0, popularFiles: 0, failed: 0 };
+  const incomplete = [
+    { metadata: { is: null } },
+    { metadata: { is: { size: null } } },
+  ];
+
+  const sources = [
+    {
+      model: prisma.file,
+      // Rows recorded before content sniffing have no MIME type
+      where: { storageId: null, OR: [...incomplete, { mime: null }] },
+      include: { artist: true },
+      record: recordFileMetadata,
+      stat: "files",
+    },
+    {
+      model: prisma.popularFile,
+      where: { OR: incomplete },
+      include: {},
+      record: recordPopularFileMetadata,
+      stat: "popularFiles",
+    },
+  ];
+
+  for (const { model, where, include, record, stat } of sources) {
+    let cursor = null;
+    // Failed files keep matching the filter, so pages follow the id
+    while (!signal?.aborted) {
+      const files = await model.findMany({
+        where: cursor ? { ...where, id: { gt: cursor } } : where,
+        include,
+        orderBy: { id: "asc" },
+        take: BATCH_SIZE,
+      });
+      if (files.length === 0) break;
+      cursor = files[files.length - 1].id;
+
+      for (const file of files) {
+        if (signal?.aborted) break;
+        try {
+          await record(file);
+          stats[stat]++;
+        } catch (e) {
+          stats.failed++;
+          onError?.(file, e);
+        }
+      }
+    }
+  }
+
+  signal?.throwIfAborted();
+  return stats;
+}
@@ -0,0 +1,139 @@
+import prisma from "./prisma.js";
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+/** Invalid query string parameter, reported as a 400 */
+export class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QueryError";
+  }
+}
+
+export function parseLimit(value, defaultLimit = DEFAULT_LIMIT) {
+  const limit = parseInt(value, 10) || defaultLimit;
+  return Math.min(Math.max(limit, 1), MAX_LIMIT);
+}
+
+export function parseBoolean(value, name) {
+  if (value === undefined || value === "") return undefined;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  throw new QueryError(`Invalid ${name}: ${value}, expected true or false`);
+}
+
+export function parseList(value) {
+  if (!value) return undefined;
+  const list = String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return list.length > 0 ? list : undefined;
+}
+
+/**
+ * Turns `sort` and `order` query parameters into a Prisma `orderBy`. `sorts`
+ * maps each allowed sort name to the field or relation to order by. The id
+ * always comes last so cursors stay stable between equal values.
+ */
+export function parseSort(query, sorts, defaultSort) {
+  const sort = query.sort || defaultSort;
+  if (!sorts[sort]) {
+    throw new QueryError(
+      `Invalid sort: ${sort}, expected one of ${Object.keys(sorts).join(", ")}`,
+    );
+  }
+
+  const order =
+    query.order || (sort === "name" || sort === "filename" ? "asc" : "desc");
+  if (order !== "asc" && order !== "desc") {
+    throw new QueryError(`Invalid order: ${order}, expected asc or desc`);
+  }
+
+  return [sorts[sort](order), { id: order }];
+}
+
+/**
+ * Reads a page of `model` after `cursor`, the id of the last row of the
+ * previous page. Unlike offsets, rows inserted while paging do not shift the
+ * following pages. Resolves with `{ data, nextCursor, total }`.
+ */
+export async function paginate(
+  model,
+  { where = {}, orderBy, include, select },
+  { cursor = null, limit = DEFAULT_LIMIT } = {},
+) {
+  const [rows, total] = await Promise.all([
+    prisma[model].findMany({
+      where,
+      orderBy,
+      ...(include ? { include } : {}),
+      ...(select ? { select } : {}),
+      take: limit + 1,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+    }),
+    prisma[model].count({ where }),
+  ]);
+
+  const data = rows.slice(0, limit);
+  return {
+    data,
+    nextCursor: rows.length > limit ? data[data.length - 1].id : null,
+    total,
+  };
+}
+
+/**
+ * Like paginate(), for rows ordered by the date `field`, newest first and
+ * rows without a date last, then by id. Prisma cursors can not step over
+ * nulls, so the cursor carries the date along with the id, as `<date>_<id>`
+ * with an empty date for the rows without one.
+ */
+export async function paginateByDate(
+  model,
+  field,
+  { where = {}, include, select },
+  { cursor = null, limit = DEFAULT_LIMIT } = {},
+) {
+  let after = {};
+  if (cursor) {
+    const separator = cursor.indexOf("_");
+    const id = cursor.slice(separator + 1);
+    const date = separator > 0 ? new Date(cursor.slice(0, separator)) : null;
+    if (separator < 0 || !id || (date && isNaN(date.getTime()))) {
+      throw new QueryError(`Invalid cursor: ${cursor}`);
+    }
+    after = date
+      ? {
+          OR: [
+            { [field]: { lt: date } },
+            { [field]: date, id: { lt: id } },
+            { [field]: null },
+          ],
+        }
+      : { [field]: null, id: { lt: id } };
+  }
+
+  const [rows, total] = await Promise.all([
+    prisma[model].findMany({
+      where: { AND: [where, after] },
+      orderBy: [{ [field]: { sort: "desc", nulls: "last" } }, { id: "desc" }],
+      ...(include ? { include } : {}),
+      ...(select ? { select } : {}),
+      take: limit + 1,
+    }),
+    prisma[model].count({ where }),
+  ]);
+
+  const data = rows.slice(0, limit);
+  const last = data[data.length - 1];
+  return {
+    data,
+    nextCursor:
+      rows.length > limit
+        ? `${last[field]?.toISOString() ?? ""}_${last.id}`
+        : null,
+    total,
+  };
+}
@@ -0,0 +1,505 @@
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import pLimit from "p-limit";
+import prisma from "./prisma.js";
+import {
+  getAllArtistPosts,
+  getArtistProfile,
+  getPostAttachments,
+  getPostContent,
+  parseApiDate,
+  toPostMetadata,
+} from "./coomer-api.js";
+import { downloadFile, FileTooLargeError } from "./downloader.js";
+import { recordFileMetadata, recordPopularFileMetadata } from "./metadata.js";
+import { wantsFileType } from "./policies.js";
+import { getProgressManager } from "./progress-manager.js";
+import { fileTypeByFilename, hashFromPath } from "./utils.js";
+import { detectFileType } from "./file-type.js";
+import { dataUrls, DEFAULT_SITE, getSite } from "./sites.js";
+import {
+  blobPath,
+  incomingPath,
+  resolveFilePath,
+  storeBlob,
+} from "./blob-store.js";
+
+const DEFAULT_OPTIONS = {
+  postConcurrency: 4,
+  attachmentConcurrency: 2,
+  postLimit: null,
+  incremental: false,
+  newerThan: null,
+  includeTypes: null,
+  excludeTypes: null,
+  maxFileSize: null,
+  download: true,
+  metadata: true,
+  layout: "content",
+  folder: null,
+  signal: null,
+};
+
+/**
+ * The post -> attachments -> download -> database loop shared by every entry
+ * point. A source is either `{ type: "artist", artist, posts? }` for an
+ * artist row, or `{ type: "popular", site?, posts }` for posts of the popular
+ * feed.
+ *
+ * Emitted events: `artist:start`, `post:start`, `post:complete`,
+ * `post:error`, `file:complete`, `file:skip`, `file:error`, `metadata:error`
+ * and `done`.
+ *
+ * Passing an AbortSignal as `signal` stops the run between files, `run()`
+ * then rejects with the abort reason.
+ *
+ * In `incremental` mode an artist is only paged until its last known post,
+ * and posts whose files are all recorded are skipped.
+ *
+ * `newerThan`, `includeTypes`, `excludeTypes` and `maxFileSize` narrow what
+ * gets downloaded, see `resolvePolicy()`.
+ */
+class ScrapePipeline extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.progressManager = getProgressManager();
+  }
+
+  async run(source) {
+    const stats = {
+      posts: 0,
+      failedPosts: 0,
+      incompletePosts: 0,
+      files: 0,
+      failedFiles: 0,
+      skippedFiles: 0,
+    };
+
+    const { posts, newestPost, truncated } = await this.selectPosts(source);
+    const label =
+      source.type === "artist" ? source.artist.name : "Popular posts";
+    const progressId = source.type === "artist" ? source.artist.id : "popular";
+
+    this.emit("artist:start", { source, posts });
+    const artistBarId = this.progressManager.startArtist(
+      progressId,
+      label,
+      posts.length,
+    );
+
+    const postLimit = pLimit(this.options.postConcurrency);
+    let completedPosts = 0;
+
+    await Promise.all(
+      posts.map((post) =>
+        postLimit(async () => {
+          if (this.options.signal?.aborted) return;
+          try {
+            await this.processPost(source, post, progressId, stats);
+          } catch (e) {
+            stats.failedPosts++;
+            this.emit("post:error", { source, post, error: e });
+          }
+          stats.posts++;
+          completedPosts++;
+          this.progressManager.updateArtist(artistBarId, completedPosts);
+        }),
+      ),
+    );
+
+    this.progressManager.completeArtist(artistBarId);
+    this.options.signal?.throwIfAborted();
+
+    // Move the known post marker only when nothing newer was left behind,
+    // runs that do not download (seeds) leave every post to the next scrape
+    if (
+      newestPost &&
+      !truncated &&
+      this.options.download &&
+      stats.failedPosts === 0 &&
+      stats.incompletePosts === 0
+    ) {
+      await prisma.artist.update({
+        where: { id: source.artist.id },
+        data: {
+          lastPostId: newestPost.id,
+          lastPostPublishedAt: parseApiDate(newestPost.published),
+        },
+      });
+    }
+
+    this.emit("done", { source, stats });
+
+    return stats;
+  }
+
+  async selectPosts(source) {
+    const { postLimit, incremental, newerThan } = this.options;
+
+    if (source.posts) {
+      return {
+        posts: postLimit ? source.posts.slice(0, postLimit) : source.posts,
+      };
+    }
+
+    const { artist } = source;
+    let posts;
+    let truncated = false;
+
+    if (incremental && artist.lastPostId) {
+      posts = await getAllArtistPosts(artist.url, Infinity, {
+        until: {
+          id: artist.lastPostId,
+          publishedAt:
+            newerThan && newerThan > artist.lastPostPublishedAt
+              ? newerThan
+              : artist.lastPostPublishedAt,
+        },
+      });
+    } else {
+      const artistProfile = await getArtistProfile(artist.url);
+      posts = await getAllArtistPosts(
+        artist.url,
+        postLimit
+          ? Math.min(postLimit, artistProfile.post_count)
+          : artistProfile.post_count,
+        { until: newerThan ? { publishedAt: newerThan } : null },
+      );
+    }
+
+    const newestPost = posts[0] || null;
+    if (postLimit && posts.length > postLimit) {
+      truncated = incremental && !!artist.lastPostId;
+      posts = posts.slice(0, postLimit);
+    }
+
+    if (incremental && posts.length > 0) {
+      const completedPosts = await prisma.post.findMany({
+        where: {
+          artistId: artist.id,
+          identifier: { in: posts.map((post) => post.id) },
+          completedAt: { not: null },
+        },
+        select: { identifier: true },
+      });
+      const completedIds = new Set(
+        completedPosts.map((post) => post.identifier),
+      );
+      posts = posts.filter((post) => !completedIds.has(post.id));
+    }
+
+    return { posts, newestPost, truncated };
+  }
+
+  async processPost(source, post, progressId, stats) {
+    const artistUrl =
+      source.type === "artist"
+        ? source.artist.url
+        : `${getSite(this.siteOf(source)).baseURL}/${post.service}/user/${post.user}`;
+    const postContent = await getPostContent(artistUrl, post.id);
+    const attachments = getPostAttachments(postContent);
+
+    // Positions are taken before unwanted media types are dropped
+    const wantedAttachments = attachments
+      .map((attachment, position) => ({ attachment, position }))
+      .filter(({ attachment }) => wantsFileType(this.options, attachment.name));
+
+    const postBarId = this.progressManager.startPostV2(
+      progressId,
+      post.id,
+      `Post ${post.id.substring(0, 8)}...`,
+      wantedAttachments.length,
+    );
+    this.emit("post:start", { source, post, attachments });
+
+    const postDB = await this.findOrCreatePost(source, post, postContent);
+    const parsedAttachments = wantedAttachments.map(
+      ({ attachment, position }) =>
+        this.parseAttachment(source, post, attachment, position),
+    );
+
+    const attachmentLimit = pLimit(this.options.attachmentConcurrency);
+    let completedAttachments = 0;
+    let recordedAttachments = 0;
+
+    await Promise.all(
+      parsedAttachments.map((attachment) =>
+        attachmentLimit(async () => {
+          let fileBarId = null;
+          if (this.options.signal?.aborted) return;
+          try {
+            const { file, skipped } = await this.storeAttachment(
+              source,
+              postDB,
+              attachment,
+              () =>
+                (fileBarId = this.progressManager.startFile(
+                  postBarId,
+                  `${post.id}-${attachment.filename}`,
+                  attachment.filename,
+                  0,
+                )),
+            );
+
+            if (skipped !== "missing") recordedAttachments++;
+
+            if (skipped) {
+              stats.skippedFiles++;
+              this.emit("file:skip", {
+                source,
+                post,
+                postDB,
+                attachment,
+                reason: skipped,
+              });
+            } else {
+              stats.files++;
+              this.emit("file:complete", {
+                source,
+                post,
+                postDB,
+                attachment,
+                file,
+              });
+            }
+          } catch (e) {
+            stats.failedFiles++;
+            this.progressManager.failFile(fileBarId, e);
+            this.emit("file:error", {
+              source,
+              post,
+              postDB,
+              attachment,
+              error: e,
+            });
+          } finally {
+            completedAttachments++;
+            this.progressManager.updatePost(postBarId, completedAttachments);
+          }
+        }),
+      ),
+    );
+
+    const complete = recordedAttachments === parsedAttachments.length;
+    if (source.type === "artist" && complete && !postDB.completedAt) {
+      await prisma.post.update({
+        where: { id: postDB.id },
+        data: { completedAt: new Date() },
+      });
+    }
+    if (!complete && !postDB.completedAt) stats.incompletePosts++;
+
+    this.progressManager.completePost(postBarId);
+    this.emit("post:complete", { source, post, attachments });
+  }
+
+  /**
+   * Downloads one parsed attachment if needed and records it. Resolves with
+   * `{ file }`, or `{ skipped }` holding the reason it was skipped, and throws
+   * when the download fails.
+   */
+  async storeAttachment(source, postDB, attachment, startProgress = null) {
+    const existing = await this.findFile(source, postDB, attachment);
+    if (existing) return { skipped: "recorded" };
+
+    let hash = attachment.hash;
+    const storedPath =
+      source.type === "artist" && hash
+        ? resolveFilePath({
+            hash,
+            filename: attachment.filename,
+            artist: source.artist,
+          })
+        : attachment.outputFilePath;
+
+    // The blob may already be stored for another post or artist
+    if (!fs.existsSync(storedPath)) {
+      if (!this.options.download) return { skipped: "missing" };
+
+      const fileBarId = startProgress ? startProgress() : null;
+      let result;
+      try {
+        result = await downloadFile(attachment, 0, fileBarId);
+      } catch (e) {
+        if (e instanceof FileTooLargeError) return { skipped: "too-large" };
+        throw e;
+      }
+      hash = result.hash || hash;
+      if (this.options.layout === "content") {
+        storeBlob(attachment.outputFilePath, hash);
+      }
+    }
+
+    // The stored type comes from the content, extensions are often wrong
+    const detected =
+      source.type === "artist"
+        ? await detectFileType(
+            resolveFilePath({
+              hash,
+              filename: attachment.filename,
+              artist: source.artist,
+            }),
+            attachment.filename,
+          )
+        : null;
+
+    const file = await this.createFile(
+      source,
+      postDB,
+      attachment,
+      hash,
+      detected,
+    );
+    if (this.options.metadata) await this.recordMetadata(source, file);
+    return { file };
+  }
+
+  /** Probing failures leave the file recorded, the metadata backfill retries */
+  async recordMetadata(source, file) {
+    try {
+      if (source.type === "popular") {
+        const folder = path.join(process.env.DOWNLOAD_DIR, this.options.folder);
+        await recordPopularFileMetadata(file, path.join(folder, file.filename));
+      } else {
+        await recordFileMetadata({ ...file, artist: source.artist });
+      }
+    } catch (e) {
+      this.emit("metadata:error", { source, file, error: e });
+    }
+  }
+
+  parseAttachment(source, post, attachment, position = null) {
+    const hash = hashFromPath(attachment.path);
+
+    let outputFilePath;
+    if (this.options.layout === "content") {
+      outputFilePath = hash ? blobPath(hash) : incomingPath(attachment.name);
+    } else {
+      outputFilePath = path.join(
+        process.env.DOWNLOAD_DIR,
+        this.options.folder,
+        attachment.name,
+      );
+    }
+
+    const [url, ...mirrors] = dataUrls(this.siteOf(source), attachment.path);
+
+    return {
+      url,
+      mirrors,
+      path: "/data" + attachment.path,
+      filename: attachment.name,
+      hash,
+      position,
+      maxBytes: this.options.maxFileSize,
+      outputPath: path.dirname(outputFilePath),
+      outputFilename: path.basename(outputFilePath),
+      outputFilePath,
+      artistIdentifier:
+        source.type === "artist" ? source.artist.identifier : post.user,
+    };
+  }
+
+  siteOf(source) {
+    return (
+      (source.type === "artist" ? source.artist.site : source.site) ||
+      DEFAULT_SITE
+    );
+  }
+
+  async findOrCreatePost(source, post, postContent = null) {
+    if (source.type === "popular") {
+      const identifier = `${post.id}+${post.user}`;
+      const postDB = await prisma.popularPost.findFirst({
+        where: { identifier },
+      });
+      if (postDB) return postDB;
+
+      return prisma.popularPost.create({ data: { identifier } });
+    }
+
+    const metadata = postContent ? toPostMetadata(postContent) : {};
+    const postDB = await prisma.post.findFirst({
+      where: {
+        identifier: post.id,
+        artistId: source.artist.id,
+      },
+    });
+
+    if (postDB) {
+      // Rows created before metadata was stored, or edited since
+      const outdated =
+        metadata.publishedAt &&
+        (!postDB.publishedAt ||
+          metadata.editedAt?.getTime() !== postDB.editedAt?.getTime());
+      if (!outdated) return postDB;
+
+      return prisma.post.update({
+        where: { id: postDB.id },
+        data: metadata,
+      });
+    }
+
+    return prisma.post.create({
+      data: {
+        identifier: post.id,
+        artistId: source.artist.id,
+        ...metadata,
+      },
+    });
+  }
+
+  findFile(source, postDB, attachment) {
+    if (source.type === "popular") {
+      return prisma.popularFile.findFirst({
+        where: {
+          filename: attachment.filename,
+          postId: postDB.id,
+        },
+      });
+    }
+
+    return prisma.file.findFirst({
+      where: {
+        filename: attachment.filename,
+        postId: postDB.id,
+        artistId: source.artist.id,
+        // Files extracted from archives may share the name of an attachment
+        parentId: null,
+      },
+    });
+  }
+
+  createFile(source, postDB, attachment, hash, detected = null) {
+    if (source.type === "popular") {
+      return prisma.popularFile.create({
+        data: {
+          url: attachment.url,
+          filename: attachment.filename,
+          postId: postDB.id,
+        },
+      });
+    }
+
+    return prisma.file.create({
+      data: {
+        url: attachment.url,
+        filename: attachment.filename,
+        hash,
+        type: detected?.type || fileTypeByFilename(attachment.filename),
+        mime: detected?.mime || null,
+        position: attachment.position ?? null,
+        postId: postDB.id,
+        artistId: source.artist.id,
+      },
+    });
+  }
+}
+
+export function createPipeline(options = {}) {
+  return new ScrapePipeline(options);
+}
+
+export { ScrapePipeline };
@@ -0,0 +1,128 @@
+import prisma from "./prisma.js";
+import { fileTypeByFilename } from "./utils.js";
+import { FILE_TYPES } from "./file-type.js";
+import { parseWindows } from "./time-windows.js";
+
+const DEFAULT_MAX_POSTS = parseInt(process.env.DEFAULT_MAX_POSTS, 10) || 250;
+const MIN_SCRAPE_INTERVAL =
+  (parseInt(process.env.SCHEDULER_MIN_INTERVAL, 10) || 60) * 60 * 1000;
+const MAX_SCRAPE_INTERVAL =
+  (parseInt(process.env.SCHEDULER_MAX_INTERVAL, 10) || 60 * 24 * 7) * 60 * 1000;
+const MEDIA_TYPES = FILE_TYPES;
+
+/**
+ * Scrape settings of an artist, from its `ArtistPolicy` row when it has one.
+ * Without a policy, exception artists get twice the default number of posts.
+ */
+export function resolvePolicy(artist, policy = artist.policy) {
+  return {
+    maxPosts: policy?.fullArchive
+      ? null
+      : (policy?.maxPosts ?? DEFAULT_MAX_POSTS * (artist.isException ? 2 : 1)),
+    fullArchive: policy?.fullArchive ?? false,
+    newerThan: policy?.newerThan ?? null,
+    includeTypes: policy?.includeTypes?.length ? policy.includeTypes : null,
+    excludeTypes: policy?.excludeTypes?.length ? policy.excludeTypes : null,
+    maxFileSize: policy?.maxFileSizeMb
+      ? policy.maxFileSizeMb * 1024 * 1024
+      : null,
+    scrapeInterval: policy?.scrapeIntervalMinutes
+      ? policy.scrapeIntervalMinutes * 60 * 1000
+      : null,
+    scrapeWindows: parseWindows(policy?.scrapeWindows),
+  };
+}
+
+/** Options of `createPipeline` that apply a resolved policy */
+export function policyPipelineOptions(resolvedPolicy) {
+  return {
+    postLimit: resolvedPolicy.maxPosts,
+    newerThan: resolvedPolicy.newerThan,
+    includeTypes: resolvedPolicy.includeTypes,
+    excludeTypes: resolvedPolicy.excludeTypes,
+    maxFileSize: resolvedPolicy.maxFileSize,
+  };
+}
+
+export function wantsFileType(resolvedPolicy, filename) {
+  const type = fileTypeByFilename(filename);
+  if (
+    resolvedPolicy.includeTypes &&
+    !resolvedPolicy.includeTypes.includes(type)
+  )
+    return false;
+  return !resolvedPolicy.excludeTypes?.includes(type);
+}
+
+/**
+ * Time to wait before the next scrape, in ms. A fixed policy interval wins,
+ * otherwise artists who just posted are checked again soon and each scrape
+ * without new posts doubles the wait, up to a week by default.
+ */
+export function nextScrapeInterval(artist, resolvedPolicy, foundNewPosts) {
+  if (resolvedPolicy.scrapeInterval) return resolvedPolicy.scrapeInterval;
+  if (foundNewPosts || !artist.scrapeIntervalMinutes) {
+    return MIN_SCRAPE_INTERVAL;
+  }
+
+  return Math.min(
+    Math.max(artist.scrapeIntervalMinutes * 60 * 1000 * 2, MIN_SCRAPE_INTERVAL),
+    MAX_SCRAPE_INTERVAL,
+  );
+}
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isTypeList = (value) =>
+  Array.isArray(value) && value.every((type) => MEDIA_TYPES.includes(type));
+
+const POLICY_FIELDS = {
+  maxPosts: (value) => value === null || isPositiveInteger(value),
+  fullArchive: (value) => typeof value === "boolean",
+  newerThan: (value) =>
+    value === null || !Number.isNaN(new Date(value).getTime()),
+  includeTypes: isTypeList,
+  excludeTypes: isTypeList,
+  maxFileSizeMb: (value) => value === null || isPositiveInteger(value),
+  scrapeIntervalMinutes: (value) => value === null || isPositiveInteger(value),
+  scrapeWindows: (value) => {
+    if (value === null) return true;
+    try {
+      return typeof value === "string" && parseWindows(value) !== null;
+    } catch (e) {
+      return false;
+    }
+  },
+};
+
+/**
+ * Checks the fields of a policy sent to the API. Returns `{ data }` ready
+ * for Prisma, or `{ error }` describing the first invalid field.
+ */
+export function validatePolicy(body) {
+  const data = {};
+  for (const [field, value] of Object.entries(body || {})) {
+    if (!POLICY_FIELDS[field]) return { error: `Unknown field: ${field}` };
+    if (!POLICY_FIELDS[field](value)) {
+      return {
+        error: field.endsWith("Types")
+          ? `Invalid ${field}, expected a list of ${MEDIA_TYPES.join(", ")}`
+          : `Invalid ${field}`,
+      };
+    }
+    data[field] =
+      field === "newerThan" && value !== null ? new Date(value) : value;
+  }
+  return { data };
+}
+
+export function updatePolicy(artistId, data) {
+  return prisma.artistPolicy.upsert({
+    where: { artistId },
+    create: { artistId, ...data },
+    update: data,
+  });
+}
+
+export function deletePolicy(artistId) {
+  return prisma.artistPolicy.deleteMany({ where: { artistId } });
+}
@@ -11,6 +11,7 @@ class ProgressManager {
     // In-memory state for current processing
     this.currentState = {
       artists: new Map(), // Map<artistId, { ...artistInfo, posts: Map<postId, postInfo> }>
+      tasks: new Map(), // Map<taskId, { ...taskInfo, counts }> for background work such as validation
       errors: []
     };
 
@@ -292,6 +293,50 @@ class ProgressManager {
     }
   }
 
+  /**
+   * Start tracking a background task, e.g. validation
+   */
+  startTask(taskId, label, total = 0) {
+    if (!this.enabled) return null;
+
+    this.currentState.tasks.set(taskId, {
+      id: taskId,
+      label,
+      total,
+      processed: 0,
+      counts: {},
+      startTime: Date.now(),
+      status: 'processing'
+    });
+    return taskId;
+  }
+
+  /**
+   * Update task progress, `counts` are added to the task counters
+   */
+  updateTask(taskId, processed, counts = {}) {
+    if (!this.enabled || !taskId) return;
+    const task = this.currentState.tasks.get(taskId);
+    if (task) {
+      task.processed = processed;
+      for (const [name, value] of Object.entries(counts)) {
+        task.counts[name] = (task.counts[name] || 0) + value;
+      }
+    }
+  }
+
+  /**
+   * Complete task, it stays listed with its final counts until restarted
+   */
+  completeTask(taskId, status = 'completed') {
+    if (!this.enabled || !taskId) return;
+    const task = this.currentState.tasks.get(taskId);
+    if (task) {
+      task.status = status;
+      task.endTime = Date.now();
+    }
+  }
+
   /**
    * Get Overall Stats from DB
    */
@@ -333,6 +378,13 @@ class ProgressManager {
     }
   }
 
+  /**
+   * Get stats of the current cycle
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
   /**
    * Get Current Progress
    */
@@ -361,6 +413,7 @@ class ProgressManager {
     return {
       stats: this.stats,
       processing: artistsArray,
+      tasks: [...this.currentState.tasks.values()],
       errors: this.currentState.errors
     };
   }
@@ -378,6 +431,7 @@ class ProgressManager {
       downloadedBytes: 0,
     };
     // We don't prefer clearing current processing if it's still running, but app.js calls this at end of cycle.
+    // Tasks run outside of the download cycles, they are kept
     this.currentState.artists.clear();
     this.currentState.errors = [];
   }
@@ -0,0 +1,355 @@
+import fs from "fs";
+import path from "path";
+import prisma from "./prisma.js";
+import redis from "./redis.js";
+import { getPostAttachments, toPostMetadata } from "./coomer-api.js";
+import { dataUrls } from "./sites.js";
+import { blobRoot, resolveFilePath } from "./blob-store.js";
+import { hashFromPath } from "./utils.js";
+import { detectFileType } from "./file-type.js";
+
+const BATCH_SIZE = 200;
+const SAMPLE_SIZE = 100;
+const THUMBNAIL_SUFFIX = ".thumbnail.jpg";
+// Downloads store their file before recording it, files changed this close
+// to the scan may still get their row from the pipeline
+const RECENT_MARGIN = 1000 * 60 * 10;
+// Folders of DOWNLOAD_DIR that do not belong to an artist
+const RESERVED_DIRS = new Set([
+  "blobs",
+  "_popular_",
+  "_quarantine_",
+  "_thumbnails_",
+  "_hls_",
+]);
+
+function* walk(dir) {
+  if (!fs.existsSync(dir)) return;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) yield* walk(entryPath);
+    else if (entry.isFile()) yield entryPath;
+  }
+}
+
+function emptyReport(dryRun, removeMissing) {
+  const section = () => ({ count: 0, samples: [] });
+  return {
+    dryRun,
+    removeMissing,
+    startedAt: new Date(),
+    finishedAt: null,
+    scannedFiles: 0,
+    adopted: section(),
+    recent: section(),
+    unmatched: section(),
+    missing: section(),
+    orphanThumbnails: section(),
+    leftovers: section(),
+  };
+}
+
+function note(section, sample) {
+  section.count++;
+  if (section.samples.length < SAMPLE_SIZE) section.samples.push(sample);
+}
+
+/**
+ * Indexes the post contents cached in Redis, so files on disk can be traced
+ * back to their post by hash or by artist and filename.
+ */
+async function indexCachedPosts() {
+  const byHash = new Map();
+  const byName = new Map();
+
+  for await (const batch of redis.scanIterator({
+    MATCH: "post:*",
+    COUNT: 500,
+  })) {
+    const keys = [].concat(batch);
+    if (keys.length === 0) continue;
+
+    const values = await redis.mGet(keys);
+    keys.forEach((key, index) => {
+      if (!values[index]) return;
+
+      // post:<artist url>:<post id>, the URL has colons of its own
+      const artistUrl = key.slice("post:".length, key.lastIndexOf(":"));
+      const postId = key.slice(key.lastIndexOf(":") + 1);
+      let postContent;
+      try {
+        postContent = JSON.parse(values[index]);
+      } catch (e) {
+        return;
+      }
+
+      getPostAttachments(postContent).forEach((attachment, position) => {
+        const match = { artistUrl, postId, attachment, position };
+        const hash = hashFromPath(attachment.path);
+        if (hash) byHash.set(hash, match);
+        byName.set(`${artistUrl}\n${attachment.name}`, match);
+      });
+    });
+  }
+
+  return { byHash, byName };
+}
+
+class Reconciler {
+  constructor() {
+    this.started = false;
+    this.report = null;
+  }
+
+  /**
+   * Compares `DOWNLOAD_DIR` with the `File` table. Orphan files are adopted
+   * when the cached post content tells where they belong and they did not
+   * change in the last minutes, rows whose file is missing are flagged with
+   * `missingAt`, or deleted with `removeMissing` along with the files
+   * extracted from them, and thumbnails left without their file are removed.
+   * Nothing changes in a dry run, which only fills the report.
+   */
+  async run({ dryRun = true, removeMissing = false } = {}) {
+    if (this.started) throw new Error("Reconcile is already in progress");
+    this.started = true;
+
+    const report = emptyReport(dryRun, removeMissing);
+    this.report = report;
+
+    try {
+      const index = await indexCachedPosts();
+      await this.scanBlobs(report, index);
+      await this.scanLegacyFolders(report, index);
+      await this.checkRows(report);
+      report.finishedAt = new Date();
+      return report;
+    } finally {
+      this.started = false;
+    }
+  }
+
+  /** Handles a file of the disk that is not a regular file of the store */
+  handleLeftover(report, filePath) {
+    // Unfinished downloads are kept, the next try resumes or replaces them
+    if (
+      filePath.endsWith(".part") ||
+      filePath.startsWith(path.join(blobRoot(), "incoming") + path.sep)
+    ) {
+      note(report.leftovers, filePath);
+      return true;
+    }
+
+    if (filePath.endsWith(THUMBNAIL_SUFFIX)) {
+      if (!fs.existsSync(filePath.slice(0, -THUMBNAIL_SUFFIX.length))) {
+        note(report.orphanThumbnails, filePath);
+        if (!report.dryRun) fs.unlinkSync(filePath);
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  async scanBlobs(report, index) {
+    let batch = [];
+    const flush = async () => {
+      const known = new Set(
+        (
+          await prisma.file.findMany({
+            where: { hash: { in: batch.map(({ hash }) => hash) } },
+            select: { hash: true },
+            distinct: ["hash"],
+          })
+        ).map((file) => file.hash),
+      );
+
+      for (const { hash, filePath } of batch) {
+        if (known.has(hash)) continue;
+        await this.adopt(report, filePath, index.byHash.get(hash), hash);
+      }
+      batch = [];
+    };
+
+    for (const filePath of walk(blobRoot())) {
+      report.scannedFiles++;
+      if (this.handleLeftover(report, filePath)) continue;
+
+      const hash = path.basename(filePath);
+      if (!/^[a-f0-9]{64}$/.test(hash)) {
+        note(report.unmatched, filePath);
+        continue;
+      }
+
+      batch.push({ hash, filePath });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    if (batch.length > 0) await flush();
+  }
+
+  async scanLegacyFolders(report, index) {
+    const root = process.env.DOWNLOAD_DIR;
+    if (!fs.existsSync(root)) return;
+
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+      if (!entry.isDirectory() || RESERVED_DIRS.has(entry.name)) continue;
+
+      const artists = await prisma.artist.findMany({
+        where: { identifier: entry.name },
+        select: { url: true },
+      });
+      const known = new Set(
+        (
+          await prisma.file.findMany({
+            where: { artist: { identifier: entry.name } },
+            select: { filename: true },
+          })
+        ).map((file) => file.filename),
+      );
+
+      for (const filePath of walk(path.join(root, entry.name))) {
+        report.scannedFiles++;
+        if (this.handleLeftover(report, filePath)) continue;
+
+        const filename = path.basename(filePath);
+        if (known.has(filename)) continue;
+
+        const match = artists
+          .map((artist) => index.byName.get(`${artist.url}\n${filename}`))
+          .find(Boolean);
+        await this.adopt(report, filePath, match, null);
+      }
+    }
+  }
+
+  /** Creates the `File` row of an orphan file, and its post when needed */
+  async adopt(report, filePath, match, hash) {
+    // The inode change time moves with the rename into the store
+    const changedAt = fs.statSync(filePath).ctimeMs;
+    if (changedAt > report.startedAt.getTime() - RECENT_MARGIN) {
+      note(report.recent, filePath);
+      return;
+    }
+
+    const artist =
+      match &&
+      (await prisma.artist.findUnique({ where: { url: match.artistUrl } }));
+    if (!artist) {
+      note(report.unmatched, filePath);
+      return;
+    }
+
+    const { attachment, postId, position } = match;
+    note(report.adopted, {
+      path: filePath,
+      artistId: artist.id,
+      post: postId,
+      filename: attachment.name,
+    });
+    if (report.dryRun) return;
+
+    let post = await prisma.post.findFirst({
+      where: { identifier: postId, artistId: artist.id },
+    });
+    if (!post) {
+      const cached = await redis.get(`post:${artist.url}:${postId}`);
+      post = await prisma.post.create({
+        data: {
+          identifier: postId,
+          artistId: artist.id,
+          ...(cached ? toPostMetadata(JSON.parse(cached)) : {}),
+        },
+      });
+    }
+
+    const existing = await prisma.file.findFirst({
+      where: { postId: post.id, filename: attachment.name },
+    });
+    if (existing) return;
+
+    const { mime, type } = await detectFileType(filePath, attachment.name);
+    await prisma.file.create({
+      data: {
+        url: dataUrls(artist.site, attachment.path)[0],
+        filename: attachment.name,
+        hash: hash || hashFromPath(attachment.path),
+        type,
+        mime,
+        position,
+        postId: post.id,
+        artistId: artist.id,
+      },
+    });
+  }
+
+  /** Flags, or removes, the rows whose file is gone from the disk */
+  async checkRows(report) {
+    // Entries removed with their archive may still be in the current page
+    const removed = new Set();
+    let cursor = null;
+    while (true) {
+      // Removed rows can not be a cursor, so pages follow the id
+      const files = await prisma.file.findMany({
+        where: cursor ? { id: { gt: cursor } } : {},
+        include: { artist: true },
+        orderBy: { id: "asc" },
+        take: BATCH_SIZE,
+      });
+      if (files.length === 0) break;
+      cursor = files[files.length - 1].id;
+
+      for (const file of files) {
+        if (removed.has(file.id)) continue;
+        const exists = fs.existsSync(resolveFilePath(file));
+        if (exists) {
+          if (file.missingAt && !report.dryRun) {
+            await prisma.file.update({
+              where: { id: file.id },
+              data: { missingAt: null },
+            });
+          }
+          continue;
+        }
+
+        // Files extracted from a missing archive are removed with it
+        const entryIds =
+          file.type === "archive"
+            ? (
+                await prisma.file.findMany({
+                  where: { parentId: file.id },
+                  select: { id: true },
+                })
+              ).map((entry) => entry.id)
+            : [];
+        note(report.missing, {
+          id: file.id,
+          filename: file.filename,
+          artistId: file.artistId,
+          ...(entryIds.length > 0 ? { entries: entryIds.length } : {}),
+        });
+        if (report.dryRun) continue;
+
+        if (report.removeMissing) {
+          await prisma.$transaction([
+            prisma.fileMetadata.deleteMany({
+              where: { file: { parentId: file.id } },
+            }),
+            prisma.file.deleteMany({ where: { parentId: file.id } }),
+            prisma.fileMetadata.deleteMany({ where: { fileId: file.id } }),
+            prisma.file.deleteMany({ where: { id: file.id } }),
+          ]);
+          entryIds.forEach((id) => removed.add(id));
+        } else if (!file.missingAt) {
+          await prisma.file.update({
+            where: { id: file.id },
+            data: { missingAt: new Date() },
+          });
+        }
+      }
+    }
+  }
+}
+
+const reconciler = globalThis.reconciler || new Reconciler();
+globalThis.reconciler = reconciler;
+
+export { reconciler };
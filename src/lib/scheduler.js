@@ -0,0 +1,164 @@
+import prisma from "./prisma.js";
+import { jobQueue, JOB_STATUS, JOB_TYPES } from "./job-queue.js";
+import { enqueueArtistScrape } from "./jobs.js";
+import { nextScrapeInterval, resolvePolicy } from "./policies.js";
+import { getProgressManager } from "./progress-manager.js";
+import {
+  isWithinWindows,
+  nextWindowStart,
+  parseWindows,
+} from "./time-windows.js";
+
+const TICK_INTERVAL = 15000;
+
+/**
+ * Queues artist scrapes as they become due. Each artist has its own
+ * `nextScrapeAt`, set after every scrape from its policy or activity, so
+ * active artists are checked often and dormant ones less and less.
+ *
+ * Only a small batch is queued at a time, the most overdue artists first and
+ * the most recently active among them, so the order stays current.
+ */
+class Scheduler {
+  constructor() {
+    this.started = false;
+    this.timer = null;
+    this.busy = false;
+    this.batchSize = parseInt(process.env.SCHEDULER_BATCH_SIZE, 10) || 10;
+    this.windows = parseWindows(process.env.SCHEDULER_WINDOWS);
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.tick();
+  }
+
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+  }
+
+  async tick() {
+    try {
+      const queued = await this.enqueueDue();
+      if (queued > 0) console.log(`Queued a scrape of ${queued} artists.`);
+    } catch (e) {
+      console.error(
+        `Failed to queue artists, error: ${e.message || "no error message"}`,
+      );
+    }
+
+    if (this.started) {
+      this.timer = setTimeout(() => this.tick(), TICK_INTERVAL);
+    }
+  }
+
+  dueArtists(now, take) {
+    return prisma.artist.findMany({
+      where: {
+        paused: false,
+        OR: [{ nextScrapeAt: null }, { nextScrapeAt: { lte: now } }],
+      },
+      include: { policy: true },
+      orderBy: [
+        { nextScrapeAt: { sort: "asc", nulls: "first" } },
+        { lastNewPostAt: { sort: "desc", nulls: "last" } },
+      ],
+      take,
+    });
+  }
+
+  async enqueueDue(now = new Date()) {
+    if (!isWithinWindows(this.windows, now)) return 0;
+
+    const pending = await jobQueue.count({
+      type: JOB_TYPES.ARTIST_SCRAPE,
+      status: { in: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING] },
+    });
+
+    // The previous batches are done, start counting from zero
+    if (pending === 0 && this.busy) {
+      getProgressManager().reset();
+      await jobQueue.prune();
+    }
+    this.busy = pending > 0;
+
+    const capacity = this.batchSize - pending;
+    if (capacity <= 0) return 0;
+
+    let queued = 0;
+    for (const artist of await this.dueArtists(now, capacity)) {
+      const policy = resolvePolicy(artist);
+
+      // Outside the artist's windows, come back when the next one opens
+      if (!isWithinWindows(policy.scrapeWindows, now)) {
+        await prisma.artist.update({
+          where: { id: artist.id },
+          data: { nextScrapeAt: nextWindowStart(policy.scrapeWindows, now) },
+        });
+        continue;
+      }
+
+      await enqueueArtistScrape(artist.id);
+      // Replaced once the scrape is done, this is when a failed one is retried
+      await prisma.artist.update({
+        where: { id: artist.id },
+        data: {
+          nextScrapeAt: new Date(
+            now.getTime() + nextScrapeInterval(artist, policy, true),
+          ),
+        },
+      });
+      queued++;
+    }
+    this.busy ||= queued > 0;
+
+    return queued;
+  }
+
+  /** Next scrapes in order, with when each artist is expected to run */
+  async upcoming(take = 50) {
+    const now = new Date();
+    const artists = await prisma.artist.findMany({
+      where: { paused: false },
+      include: { policy: true },
+      orderBy: [
+        { nextScrapeAt: { sort: "asc", nulls: "first" } },
+        { lastNewPostAt: { sort: "desc", nulls: "last" } },
+      ],
+      take,
+    });
+
+    return artists.map((artist) => {
+      const policy = resolvePolicy(artist);
+      const scheduledAt =
+        artist.nextScrapeAt && artist.nextScrapeAt > now
+          ? artist.nextScrapeAt
+          : now;
+      const windowStart =
+        nextWindowStart(policy.scrapeWindows, scheduledAt) ||
+        nextWindowStart(this.windows, scheduledAt);
+
+      return {
+        id: artist.id,
+        name: artist.name,
+        site: artist.site,
+        service: artist.service,
+        lastScrapedAt: artist.lastScrapedAt,
+        lastNewPostAt: artist.lastNewPostAt,
+        nextScrapeAt: windowStart || scheduledAt,
+        due: !artist.nextScrapeAt || artist.nextScrapeAt <= now,
+        intervalMinutes: policy.scrapeInterval
+          ? policy.scrapeInterval / 60 / 1000
+          : artist.scrapeIntervalMinutes,
+        fixedInterval: !!policy.scrapeInterval,
+      };
+    });
+  }
+}
+
+const scheduler = globalThis.scheduler || new Scheduler();
+globalThis.scheduler = scheduler;
+
+export { scheduler };
@@ -0,0 +1,172 @@
+import prisma from "./prisma.js";
+import { Prisma } from "../generated/prisma/index.js";
+import { parseLimit, parseList, QueryError } from "./pagination.js";
+
+// Must match the GIN expression indexes of the 20261019130000_added_search
+// migration
+const ARTIST_VECTOR = Prisma.sql`to_tsvector('simple', a."name")`;
+const POST_VECTOR = Prisma.sql`to_tsvector('simple', coalesce(p."title", '') || ' ' || coalesce(p."content", ''))`;
+const FILE_VECTOR = Prisma.sql`to_tsvector('simple', f."filename")`;
+
+const FROM = Prisma.sql`
+  FROM "public"."File" f
+  JOIN "public"."Artist" a ON a."id" = f."artistId"
+  LEFT JOIN "public"."Post" p ON p."id" = f."postId"
+  LEFT JOIN "public"."FileMetadata" m ON m."fileId" = f."id"
+`;
+
+function parseNumber(value, name) {
+  if (value === undefined || value === "") return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new QueryError(`Invalid ${name}: ${value}`);
+  }
+  return number;
+}
+
+function parseDate(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new QueryError(`Invalid ${name}: ${value}`);
+  }
+  return date;
+}
+
+/** Reads the search parameters of a query string */
+export function parseSearchQuery(query = {}) {
+  return {
+    q: query.q?.trim() || null,
+    artistId: query.artistId || null,
+    site: parseList(query.site) || null,
+    service: parseList(query.service) || null,
+    type: parseList(query.type) || null,
+    from: parseDate(query.from, "from"),
+    to: parseDate(query.to, "to"),
+    minWidth: parseNumber(query.minWidth, "minWidth"),
+    minHeight: parseNumber(query.minHeight, "minHeight"),
+    minDuration: parseNumber(query.minDuration, "minDuration"),
+    maxDuration: parseNumber(query.maxDuration, "maxDuration"),
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0),
+    limit: parseLimit(query.limit),
+  };
+}
+
+/**
+ * SQL conditions of the file search. A facet is counted with every filter
+ * but its own, so `exclude` leaves one out.
+ */
+function conditions(params, exclude = null) {
+  const where = [];
+
+  if (params.q) {
+    where.push(Prisma.sql`(
+      ${FILE_VECTOR} @@ websearch_to_tsquery('simple', ${params.q})
+      OR ${POST_VECTOR} @@ websearch_to_tsquery('simple', ${params.q})
+      OR ${ARTIST_VECTOR} @@ websearch_to_tsquery('simple', ${params.q})
+    )`);
+  }
+  if (params.artistId) where.push(Prisma.sql`a."id" = ${params.artistId}`);
+  if (params.site) where.push(Prisma.sql`a."site" = ANY(${params.site})`);
+  if (params.service && exclude !== "service")
+    where.push(Prisma.sql`a."service" = ANY(${params.service})`);
+  if (params.type && exclude !== "type")
+    where.push(Prisma.sql`f."type" = ANY(${params.type})`);
+  if (params.from)
+    where.push(
+      Prisma.sql`coalesce(p."publishedAt", f."createdAt") >= ${params.from}`,
+    );
+  if (params.to)
+    where.push(
+      Prisma.sql`coalesce(p."publishedAt", f."createdAt") <= ${params.to}`,
+    );
+  if (params.minWidth !== null)
+    where.push(Prisma.sql`m."width" >= ${params.minWidth}`);
+  if (params.minHeight !== null)
+    where.push(Prisma.sql`m."height" >= ${params.minHeight}`);
+  if (params.minDuration !== null)
+    where.push(Prisma.sql`m."duration" >= ${params.minDuration}`);
+  if (params.maxDuration !== null)
+    where.push(Prisma.sql`m."duration" <= ${params.maxDuration}`);
+
+  return where.length > 0
+    ? Prisma.sql`WHERE ${Prisma.join(where, " AND ")}`
+    : Prisma.empty;
+}
+
+async function facet(params, column, name) {
+  const rows = await prisma.$queryRaw`
+    SELECT ${column} AS "value", COUNT(*)::int AS "count"
+    ${FROM}
+    ${conditions(params, name)}
+    GROUP BY 1
+    ORDER BY 2 DESC
+  `;
+  return Object.fromEntries(rows.map((row) => [row.value, row.count]));
+}
+
+async function searchArtists(params) {
+  if (!params.q) return [];
+
+  return prisma.$queryRaw`
+    SELECT a."id", a."name", a."site", a."service", a."url"
+    FROM "public"."Artist" a
+    WHERE ${ARTIST_VECTOR} @@ websearch_to_tsquery('simple', ${params.q})
+    ${params.site ? Prisma.sql`AND a."site" = ANY(${params.site})` : Prisma.empty}
+    ${params.service ? Prisma.sql`AND a."service" = ANY(${params.service})` : Prisma.empty}
+    ORDER BY ts_rank(${ARTIST_VECTOR}, websearch_to_tsquery('simple', ${params.q})) DESC
+    LIMIT 10
+  `;
+}
+
+/**
+ * Searches files by filename, post title and content and artist name, with
+ * filters on media type, dates and `FileMetadata`. Results are ranked when
+ * there is a text query and newest first otherwise, with facet counts per
+ * service and type.
+ */
+export async function search(params) {
+  const order = params.q
+    ? Prisma.sql`ORDER BY (
+        ts_rank(${FILE_VECTOR}, websearch_to_tsquery('simple', ${params.q}))
+        + ts_rank(${POST_VECTOR}, websearch_to_tsquery('simple', ${params.q}))
+        + ts_rank(${ARTIST_VECTOR}, websearch_to_tsquery('simple', ${params.q}))
+      ) DESC, f."id"`
+    : Prisma.sql`ORDER BY coalesce(p."publishedAt", f."createdAt") DESC, f."id"`;
+
+  const [rows, [{ total }], services, types, artists] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT f."id"
+      ${FROM}
+      ${conditions(params)}
+      ${order}
+      LIMIT ${params.limit} OFFSET ${params.offset}
+    `,
+    prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "total"
+      ${FROM}
+      ${conditions(params)}
+    `,
+    facet(params, Prisma.sql`a."service"`, "service"),
+    facet(params, Prisma.sql`f."type"`, "type"),
+    searchArtists(params),
+  ]);
+
+  const ids = rows.map((row) => row.id);
+  const files = await prisma.file.findMany({
+    where: { id: { in: ids } },
+    include: {
+      artist: true,
+      metadata: true,
+      post: true,
+    },
+  });
+  const filesById = new Map(files.map((file) => [file.id, file]));
+
+  return {
+    files: ids.map((id) => filesById.get(id)).filter(Boolean),
+    total,
+    artists,
+    facets: { service: services, type: types },
+  };
+}
@@ -0,0 +1,45 @@
+const DEFAULT_TIMEOUT =
+  (parseInt(process.env.SHUTDOWN_TIMEOUT, 10) || 8) * 1000;
+
+let shuttingDown = false;
+
+/**
+ * Runs the `[name, step]` pairs in order on SIGTERM or SIGINT, then exits.
+ * Each step is passed the ms left before the deadline. A second signal, or a
+ * step still hanging past the deadline, forces the exit.
+ */
+export function handleShutdown(steps, { timeout = DEFAULT_TIMEOUT } = {}) {
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      console.error(`Received ${signal} again, exiting now`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`Received ${signal}, shutting down...`);
+
+    const deadline = Date.now() + timeout;
+    const forceExit = setTimeout(() => {
+      console.error("Shutdown did not finish in time, exiting now");
+      process.exit(1);
+    }, timeout + 1000);
+    forceExit.unref();
+
+    for (const [name, step] of steps) {
+      try {
+        await step(Math.max(deadline - Date.now(), 0));
+      } catch (e) {
+        console.error(
+          `Failed to shut down ${name}, error: ${
+            e.message || "no error message"
+          }`,
+        );
+      }
+    }
+
+    console.log("Shutdown complete");
+    process.exit(0);
+  };
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+}
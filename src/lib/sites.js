@@ -0,0 +1,141 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Sites the scraper knows about. Both run the same API, only the domains
+ * differ. Base URLs and data mirrors can be overridden with
+ * `SITE_<NAME>_URL` and a comma separated `SITE_<NAME>_MIRRORS`.
+ */
+const SITE_DEFINITIONS = {
+  coomer: {
+    baseURL: "https://coomer.st",
+    domains: ["coomer.st", "coomer.su", "coomer.party"],
+    services: ["onlyfans", "fansly", "candfans"],
+  },
+  kemono: {
+    baseURL: "https://kemono.cr",
+    domains: ["kemono.cr", "kemono.su", "kemono.party"],
+    services: [
+      "patreon",
+      "fanbox",
+      "fantia",
+      "gumroad",
+      "subscribestar",
+      "dlsite",
+      "boosty",
+      "afdian",
+      "discord",
+    ],
+  },
+};
+
+export const DEFAULT_SITE = "coomer";
+
+function buildSite(name, definition) {
+  const baseURL = (
+    process.env[`SITE_${name.toUpperCase()}_URL`] || definition.baseURL
+  ).replace(/\/$/, "");
+  const host = new URL(baseURL).host;
+  const mirrors = process.env[`SITE_${name.toUpperCase()}_MIRRORS`]
+    ? process.env[`SITE_${name.toUpperCase()}_MIRRORS`]
+        .split(",")
+        .map((mirror) => mirror.trim().replace(/\/$/, ""))
+        .filter(Boolean)
+    : [1, 2, 3, 4].map((n) => `https://n${n}.${host}`);
+
+  return {
+    name,
+    baseURL,
+    apiBaseURL: `${baseURL}/api`,
+    domains: [...new Set([host, ...definition.domains])],
+    services: definition.services,
+    dataMirrors: [baseURL, ...mirrors],
+  };
+}
+
+const SITES = Object.fromEntries(
+  Object.entries(SITE_DEFINITIONS).map(([name, definition]) => [
+    name,
+    buildSite(name, definition),
+  ]),
+);
+
+export function getSite(name = DEFAULT_SITE) {
+  const site = SITES[name];
+  if (!site) throw new Error(`Unknown site: ${name}`);
+  return site;
+}
+
+export function getSites() {
+  return Object.values(SITES);
+}
+
+/** Finds the site a URL belongs to, mirrors and subdomains included */
+export function siteFromUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+
+  return (
+    getSites().find((site) =>
+      site.domains.some(
+        (domain) => hostname === domain || hostname.endsWith(`.${domain}`),
+      ),
+    ) || null
+  );
+}
+
+/**
+ * Parses an artist URL such as https://kemono.su/patreon/user/123/post/456
+ * into its site, service and user id, with the canonical artist URL.
+ */
+export function parseArtistUrl(url) {
+  let cleanUrl = url.trim();
+  if (!/^https?:\/\//.test(cleanUrl)) cleanUrl = `https://${cleanUrl}`;
+
+  const site = siteFromUrl(cleanUrl);
+  if (!site) {
+    throw new Error(
+      `Unsupported site: ${url}. Known domains: ${getSites()
+        .flatMap((knownSite) => knownSite.domains)
+        .join(", ")}`,
+    );
+  }
+
+  const parts = new URL(cleanUrl).pathname.split("/").filter(Boolean);
+  if (parts.length < 3 || parts[1] !== "user") {
+    throw new Error(
+      `Invalid artist URL: ${url}. Expected format: ${site.baseURL}/{service}/user/{username}`,
+    );
+  }
+
+  const [service, , id] = parts;
+  return {
+    site: site.name,
+    service,
+    id,
+    url: `${site.baseURL}/${service}/user/${id}`,
+  };
+}
+
+/** Regex matching links to any known site, for free text like chat messages */
+export function siteLinksRegex() {
+  const domains = getSites()
+    .flatMap((site) => site.domains)
+    .map((domain) => domain.replace(/\./g, "\\."));
+  return new RegExp(
+    `https?:\\/\\/(?:[\\w-]+\\.)*(?:${domains.join("|")})(?:\\/\\S*)?`,
+    "gi",
+  );
+}
+
+/** Download URLs of a data path, the main domain first then each mirror */
+export function dataUrls(siteName, dataPath) {
+  return getSite(siteName).dataMirrors.map(
+    (mirror) => `${mirror}/data${dataPath}`,
+  );
+}
@@ -0,0 +1,210 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream";
+
+// More ranges than this are answered with the whole file
+const MAX_RANGES = 16;
+
+/** Parses a `Range` header, null when absent or not about bytes */
+export function parseRange(header, size) {
+  const match = /^bytes=(.+)$/.exec(header || "");
+  if (!match) return null;
+
+  const ranges = [];
+  for (const part of match[1].split(",")) {
+    const spec = /^\s*(\d*)-(\d*)\s*$/.exec(part);
+    if (!spec || (spec[1] === "" && spec[2] === "")) return null;
+
+    let start;
+    let end;
+    if (spec[1] === "") {
+      // Suffix range, the last N bytes
+      const length = parseInt(spec[2], 10);
+      if (length === 0) continue;
+      start = Math.max(size - length, 0);
+      end = size - 1;
+    } else {
+      start = parseInt(spec[1], 10);
+      end = spec[2] === "" ? Infinity : parseInt(spec[2], 10);
+      if (end < start) return null;
+      end = Math.min(end, size - 1);
+    }
+
+    if (start < size) ranges.push({ start, end });
+  }
+  return ranges;
+}
+
+/** Sorts and merges overlapping or adjacent ranges */
+function combineRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const combined = [sorted[0]];
+  for (const range of sorted.slice(1)) {
+    const last = combined[combined.length - 1];
+    if (range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      combined.push({ ...range });
+    }
+  }
+  return combined;
+}
+
+function etagMatches(header, etag, weak) {
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+  const strip = (tag) => tag.trim().replace(/^W\//, "");
+  return header
+    .split(",")
+    .some((tag) =>
+      weak
+        ? strip(tag) === strip(etag)
+        : tag.trim() === etag && !/^W\//.test(etag),
+    );
+}
+
+/** `304` is answered when the client copy is still current */
+function isFresh(req, etag, lastModified) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) return etagMatches(ifNoneMatch, etag, true);
+
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"] || "");
+  return (
+    !Number.isNaN(ifModifiedSince) &&
+    Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince
+  );
+}
+
+/** A range is only honoured when `If-Range` still matches the file */
+function rangeApplies(req, etag, lastModified) {
+  const ifRange = req.headers["if-range"];
+  if (!ifRange) return true;
+  if (ifRange.trim().startsWith('"') || ifRange.trim().startsWith("W/")) {
+    return etagMatches(ifRange, etag, false);
+  }
+  const date = Date.parse(ifRange);
+  return (
+    !Number.isNaN(date) &&
+    Math.floor(lastModified.getTime() / 1000) * 1000 === date
+  );
+}
+
+function streamTo(res, filePath, options = {}) {
+  return new Promise((resolve) => {
+    pipeline(fs.createReadStream(filePath, options), res, () => resolve());
+  });
+}
+
+/**
+ * Sends a file with range, conditional GET and HEAD support. Content
+ * addressed files pass their `hash`, it becomes a strong ETag and lets them
+ * be cached for good; other files get a weak ETag from their size and
+ * modification time.
+ */
+export async function sendFile(
+  req,
+  res,
+  filePath,
+  {
+    contentType = "application/octet-stream",
+    filename = null,
+    hash = null,
+  } = {},
+) {
+  const stat = fs.statSync(filePath);
+  const size = stat.size;
+  const lastModified = stat.mtime;
+  const etag = hash
+    ? `"${hash}"`
+    : `W/"${size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("ETag", etag);
+  res.setHeader("Last-Modified", lastModified.toUTCString());
+  res.setHeader(
+    "Cache-Control",
+    hash ? "private, max-age=31536000, immutable" : "private, no-cache",
+  );
+  if (filename) {
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename*=UTF-8''${encodeURIComponent(path.basename(filename))}`,
+    );
+  }
+
+  if (isFresh(req, etag, lastModified)) {
+    return res.status(304).end();
+  }
+
+  let ranges =
+    req.headers.range && rangeApplies(req, etag, lastModified)
+      ? parseRange(req.headers.range, size)
+      : null;
+  if (ranges && ranges.length === 0) {
+    res.setHeader("Content-Range", `bytes */${size}`);
+    return res.status(416).end();
+  }
+  if (ranges) ranges = combineRanges(ranges);
+  if (ranges && ranges.length > MAX_RANGES) ranges = null;
+
+  const head = req.method === "HEAD";
+
+  if (!ranges) {
+    res.status(200);
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Length", size);
+    if (head || size === 0) return res.end();
+    return streamTo(res, filePath);
+  }
+
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges;
+    res.status(206);
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Range", `bytes ${start}-${end}/${size}`);
+    res.setHeader("Content-Length", end - start + 1);
+    if (head) return res.end();
+    return streamTo(res, filePath, { start, end });
+  }
+
+  // Several ranges are sent as parts of a multipart/byteranges body
+  const boundary = crypto.randomBytes(12).toString("hex");
+  const partHeaders = ranges.map(
+    ({ start, end }) =>
+      `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\n` +
+      `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`,
+  );
+  const closing = `\r\n--${boundary}--\r\n`;
+  const length =
+    partHeaders.reduce(
+      (total, header) => total + Buffer.byteLength(header),
+      0,
+    ) +
+    ranges.reduce((total, { start, end }) => total + end - start + 1, 0) +
+    Buffer.byteLength(closing);
+
+  res.status(206);
+  res.setHeader("Content-Type", `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader("Content-Length", length);
+  if (head) return res.end();
+
+  for (const [index, { start, end }] of ranges.entries()) {
+    if (res.destroyed) return;
+    res.write(partHeaders[index]);
+    await new Promise((resolve) => {
+      const stream = fs.createReadStream(filePath, { start, end });
+      const done = () => {
+        res.off("close", done);
+        resolve();
+      };
+      stream.on("end", done).on("error", (e) => {
+        res.destroy(e);
+        done();
+      });
+      res.once("close", done);
+      stream.pipe(res, { end: false });
+    });
+  }
+  if (!res.destroyed) res.end(closing);
+}
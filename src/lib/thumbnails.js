@@ -0,0 +1,274 @@
+import { execFile } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import prisma from "./prisma.js";
+import { resolveFilePath } from "./blob-store.js";
+
+export const THUMBNAIL_SIZES = { small: 160, medium: 320, large: 640 };
+export const THUMBNAIL_FORMATS = ["webp", "avif"];
+export const DEFAULT_THUMBNAIL_SIZE = "medium";
+
+const PREVIEW_FRAMES = 8;
+const PREVIEW_DELAY = 500;
+const SPRITE_TILE_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_MAX_FRAMES = 100;
+
+/**
+ * Thumbnails live in their own cache, `THUMBNAIL_DIR` or
+ * `DOWNLOAD_DIR/_thumbnails_`, in one folder per blob so files sharing a
+ * blob share their thumbnails. Rows without a hash use their id instead.
+ */
+export function thumbnailRoot() {
+  return (
+    process.env.THUMBNAIL_DIR ||
+    path.join(process.env.DOWNLOAD_DIR, "_thumbnails_")
+  );
+}
+
+function cacheDir(file) {
+  const key = file.hash || `file-${file.id}`;
+  return path.join(thumbnailRoot(), key.slice(0, 2), key);
+}
+
+export function thumbnailPath(file, size, format = "webp") {
+  return path.join(cacheDir(file), `${size}.${format}`);
+}
+
+export function previewPath(file) {
+  return path.join(cacheDir(file), "preview.webp");
+}
+
+export function spritePath(file) {
+  return path.join(cacheDir(file), "sprite.jpg");
+}
+
+export function spriteInfoPath(file) {
+  return path.join(cacheDir(file), "sprite.json");
+}
+
+/** Deletes every cached thumbnail of a file */
+export function removeThumbnails(file) {
+  fs.rmSync(cacheDir(file), { recursive: true, force: true });
+}
+
+function ffmpeg(args) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      "ffmpeg",
+      ["-v", "error", ...args],
+      { encoding: "buffer", maxBuffer: 1024 * 1024 * 64 },
+      (err, stdout, stderr) => {
+        if (err) {
+          return reject(
+            new Error(stderr.toString().trim().split("\n")[0] || err.message),
+          );
+        }
+        resolve(stdout);
+      },
+    );
+  });
+}
+
+/** A single frame of a video, as a PNG buffer */
+function videoFrame(videoPath, seconds, width = null) {
+  return ffmpeg([
+    "-ss",
+    String(seconds),
+    "-i",
+    videoPath,
+    "-frames:v",
+    "1",
+    ...(width ? ["-vf", `scale=${width}:-2`] : []),
+    "-f",
+    "image2pipe",
+    "-vcodec",
+    "png",
+    "-",
+  ]);
+}
+
+async function videoDuration(file, videoPath) {
+  const metadata = await prisma.fileMetadata.findUnique({
+    where: { fileId: file.id },
+    select: { duration: true },
+  });
+  if (metadata?.duration) return metadata.duration;
+
+  const output = await new Promise((resolve) =>
+    execFile(
+      "ffprobe",
+      [
+        "-v",
+        "error",
+        "-show_entries",
+        "format=duration",
+        "-of",
+        "csv=p=0",
+        videoPath,
+      ],
+      (err, stdout) => resolve(err ? "" : stdout),
+    ),
+  );
+  return parseFloat(output) || 0;
+}
+
+const inflight = new Map();
+
+/**
+ * Builds a cached output once: concurrent callers share the same promise, and
+ * the result is written to a temporary file then renamed into place, so a
+ * half written thumbnail is never served.
+ */
+function buildOnce(outputPath, build) {
+  if (fs.existsSync(outputPath)) return Promise.resolve(outputPath);
+  if (inflight.has(outputPath)) return inflight.get(outputPath);
+
+  const building = (async () => {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    const tmpPath = `${outputPath}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    try {
+      await build(tmpPath);
+      fs.renameSync(tmpPath, outputPath);
+      return outputPath;
+    } finally {
+      fs.rmSync(tmpPath, { force: true });
+    }
+  })().finally(() => inflight.delete(outputPath));
+
+  inflight.set(outputPath, building);
+  return building;
+}
+
+/**
+ * Resolves with the path of a thumbnail of an image or video `File` row,
+ * which needs its artist, building it first when it is not cached.
+ */
+export function getThumbnail(
+  file,
+  size = DEFAULT_THUMBNAIL_SIZE,
+  format = "webp",
+) {
+  if (!Object.hasOwn(THUMBNAIL_SIZES, size)) {
+    throw new Error(`Unknown thumbnail size: ${size}`);
+  }
+  const width = THUMBNAIL_SIZES[size];
+  if (!THUMBNAIL_FORMATS.includes(format)) {
+    throw new Error(`Unknown thumbnail format: ${format}`);
+  }
+
+  const { type } = file;
+  if (type !== "image" && type !== "video") {
+    throw new Error("Thumbnails are only made for images and videos");
+  }
+
+  return buildOnce(thumbnailPath(file, size, format), async (tmpPath) => {
+    const sourcePath = resolveFilePath(file);
+    let input = sourcePath;
+    if (type === "video") {
+      // Skips black intro frames, short videos use their middle
+      const duration = await videoDuration(file, sourcePath);
+      input = await videoFrame(sourcePath, Math.min(duration / 2, 1));
+    }
+
+    await sharp(input, { animated: false })
+      .rotate()
+      .resize({ width, height: width, fit: "inside", withoutEnlargement: true })
+      .toFormat(format, { quality: format === "avif" ? 50 : 75 })
+      .toFile(tmpPath);
+  });
+}
+
+/** Animated WebP made of frames taken across a video */
+export function getPreview(file) {
+  return buildOnce(previewPath(file), async (tmpPath) => {
+    const videoPath = resolveFilePath(file);
+    const duration = await videoDuration(file, videoPath);
+    if (!duration) throw new Error("Unknown video duration");
+
+    const frames = [];
+    for (let i = 0; i < PREVIEW_FRAMES; i++) {
+      const seconds = (duration * (i + 0.5)) / PREVIEW_FRAMES;
+      frames.push(await videoFrame(videoPath, seconds, THUMBNAIL_SIZES.medium));
+    }
+
+    await sharp(frames, { join: { animated: true } })
+      .webp({ quality: 60, delay: PREVIEW_DELAY, loop: 0 })
+      .toFile(tmpPath);
+  });
+}
+
+/**
+ * Sprite sheet of a video for scrubbing, with a JSON description of its grid:
+ * `{ interval, count, columns, rows, width, height }`, one tile every
+ * `interval` seconds from the start.
+ */
+export async function getSprite(file) {
+  const videoPath = resolveFilePath(file);
+
+  await buildOnce(spriteInfoPath(file), async (tmpPath) => {
+    const duration = await videoDuration(file, videoPath);
+    if (!duration) throw new Error("Unknown video duration");
+
+    const interval = Math.max(1, Math.ceil(duration / SPRITE_MAX_FRAMES));
+    const count = Math.max(1, Math.floor(duration / interval));
+    const rows = Math.ceil(count / SPRITE_COLUMNS);
+    const columns = Math.min(count, SPRITE_COLUMNS);
+
+    await buildOnce(spritePath(file), (spriteTmpPath) =>
+      ffmpeg([
+        "-i",
+        videoPath,
+        "-vf",
+        `fps=1/${interval},scale=${SPRITE_TILE_WIDTH}:-2,tile=${columns}x${rows}`,
+        "-frames:v",
+        "1",
+        "-f",
+        "image2",
+        "-vcodec",
+        "mjpeg",
+        "-update",
+        "1",
+        "-y",
+        spriteTmpPath,
+      ]),
+    );
+
+    const { width, height } = await sharp(spritePath(file)).metadata();
+    fs.writeFileSync(
+      tmpPath,
+      JSON.stringify({
+        interval,
+        count,
+        columns,
+        rows,
+        width: Math.floor(width / columns),
+        height: Math.floor(height / rows),
+      }),
+    );
+  });
+
+  return {
+    path: spritePath(file),
+    info: JSON.parse(fs.readFileSync(spriteInfoPath(file), "utf8")),
+  };
+}
+
+/**
+ * Builds every thumbnail of a file ahead of the first request, with the
+ * preview and sprite sheet of videos.
+ */
+export async function generateThumbnails(file) {
+  const { type } = file;
+  if (type !== "image" && type !== "video") return;
+
+  for (const size of Object.keys(THUMBNAIL_SIZES)) {
+    await getThumbnail(file, size, "webp");
+  }
+  if (type === "video") {
+    await getPreview(file);
+    await getSprite(file);
+  }
+}
@@ -0,0 +1,79 @@
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+  if (!match) return null;
+
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return minutes <= 24 * 60 && parseInt(match[2], 10) < 60 ? minutes : null;
+}
+
+function parseDays(value) {
+  const [from, to = from] = value.toLowerCase().split("-");
+  const start = DAYS.indexOf(from);
+  const end = DAYS.indexOf(to);
+  if (start === -1 || end === -1) return null;
+
+  const days = [];
+  for (let day = start; ; day = (day + 1) % 7) {
+    days.push(day);
+    if (day === end) break;
+  }
+  return days;
+}
+
+/**
+ * Parses time windows such as `22:00-06:00` or `sat-sun 00:00-24:00, mon-fri
+ * 20:00-07:00`, in server local time. A window ending before it starts runs
+ * past midnight and belongs to the day it starts on. Throws on invalid specs,
+ * returns null for an empty one, meaning always open.
+ */
+export function parseWindows(spec) {
+  if (!spec || !spec.trim()) return null;
+
+  return spec.split(",").map((entry) => {
+    const parts = entry.trim().split(/\s+/);
+    const range = parts.pop();
+    const days = parts.length > 0 ? parseDays(parts.join("")) : null;
+    const [start, end] = range.split("-").map(parseTime);
+
+    if (
+      !Number.isInteger(start) ||
+      !Number.isInteger(end) ||
+      (parts.length > 0 && !days)
+    ) {
+      throw new Error(`Invalid time window: ${entry.trim()}`);
+    }
+    return { days, start, end };
+  });
+}
+
+export function isWithinWindows(windows, date = new Date()) {
+  if (!windows) return true;
+
+  const day = date.getDay();
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  return windows.some(({ days, start, end }) => {
+    if (start <= end) {
+      return (!days || days.includes(day)) && minutes >= start && minutes < end;
+    }
+    // Past midnight, the early hours belong to the previous day's window
+    if (minutes >= start) return !days || days.includes(day);
+    return minutes < end && (!days || days.includes((day + 6) % 7));
+  });
+}
+
+/** Next time a window opens, or null when windows are always open */
+export function nextWindowStart(windows, date = new Date()) {
+  if (!windows || isWithinWindows(windows, date)) return null;
+
+  // Windows open on a minute boundary within the next week
+  const next = new Date(date);
+  next.setSeconds(0, 0);
+  for (let i = 0; i < 7 * 24 * 60; i++) {
+    next.setMinutes(next.getMinutes() + 1);
+    if (isWithinWindows(windows, next)) return next;
+  }
+  return null;
+}
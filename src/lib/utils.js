@@ -1,55 +1,31 @@
+import crypto from "crypto";
+import fs from "fs";
+import { mimeFromFilename, typeFromMime } from "./file-type.js";
+
+/** Type from the extension alone, see `detectFileType()` for the content */
 export function fileTypeByFilename(filename) {
-  const extension = filename.split(".").pop() || "";
-  switch (extension) {
-    case "png":
-      return "image";
-    case "jpg":
-      return "image";
-    case "jpeg":
-      return "image";
-    case "gif":
-      return "image";
-    case "webp":
-      return "image";
-    case "mp4":
-      return "video";
-    case "webm":
-      return "video";
-    case "mkv":
-      return "video";
-    case "mp3":
-      return "audio";
-    case "wav":
-      return "audio";
-    default:
-      return "unknown";
-  }
+  return typeFromMime(mimeFromFilename(filename));
 }
 
 export function fileMimeByFilename(filename) {
-  const extension = filename.split(".").pop() || "";
-  switch (extension) {
-    case "png":
-      return "image/png";
-    case "jpg":
-      return "image/jpeg";
-    case "jpeg":
-      return "image/jpeg";
-    case "gif":
-      return "image/gif";
-    case "webp":
-      return "image/webp";
-    case "mp4":
-      return "video/mp4";
-    case "webm":
-      return "video/webm";
-    case "mkv":
-      return "video/mkv";
-    case "mp3":
-      return "audio/mp3";
-    case "wav":
-      return "audio/wav";
-    default:
-      return "application/octet-stream";
-  }
+  return mimeFromFilename(filename);
+}
+
+export function hashFromPath(filePath) {
+  const match = /([a-f0-9]{64})(?:\.[^./]*)?$/i.exec(filePath || "");
+  return match ? match[1].toLowerCase() : null;
+}
+
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+}
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -1,138 +1,307 @@
-import { fileTypeByFilename } from "./utils.js";
-import prisma from "./prisma.js";
+import { execFile } from "child_process";
+import fs from "fs";
+import path from "path";
+import pLimit from "p-limit";
 import sharp from "sharp";
-import { rmSync } from "fs";
 import ffmpeg from "fluent-ffmpeg";
-import path from "path";
-import fs from "fs";
-import { exec } from "child_process";
+import prisma from "./prisma.js";
+import { createPipeline } from "./pipeline.js";
+import { enqueueArchiveExtraction, enqueueFileDownload } from "./jobs.js";
+import { getProgressManager } from "./progress-manager.js";
+import { hashFile } from "./utils.js";
+import { quarantineRoot, resolveFilePath } from "./blob-store.js";
+import { removeThumbnails } from "./thumbnails.js";
+import { removeRenditions } from "./hls.js";
+
+const BATCH_SIZE = 150;
+const DEFAULT_CONCURRENCY =
+  parseInt(process.env.VALIDATION_CONCURRENCY, 10) || 2;
+const TASK_ID = "validation";
+// How fluent-ffmpeg reports a tool that ran and rejected the file
+const REJECTED_PATTERN = /exited with code \d+/;
 
-const TAKE = 150;
+/**
+ * Whether an error comes from the system rather than from the file: a
+ * missing binary, too many open files, no memory left. Files are only
+ * quarantined when the tool ran and rejected them.
+ */
+function isSystemError(e) {
+  return (
+    typeof e.code === "string" ||
+    e.name === "AbortError" ||
+    /too many open files|cannot allocate memory|out of memory/i.test(
+      e.message || "",
+    )
+  );
+}
 
+/**
+ * Checks the downloaded files that are not validated yet. Every file is
+ * hashed and probed, images with sharp and videos with ffprobe; `deep` also
+ * decodes them entirely, which catches truncated streams but is much slower.
+ * Files failing a check are moved to the quarantine folder and downloaded
+ * again. Progress is reported as the `validation` task of the progress API.
+ */
 class Validation {
   constructor() {
     this.started = false;
-    this.loop = 0;
+    this.controller = null;
+    this.running = null;
+    // Hashes already sent for download again in this run
+    this.claimed = new Set();
   }
 
-  run() {
-    return;
+  run({ concurrency = DEFAULT_CONCURRENCY, deep = false } = {}) {
+    if (this.started) return this.running;
     this.started = true;
-    this.goLoop();
+    this.controller = new AbortController();
+
+    this.running = this.validateAll({ concurrency, deep })
+      .catch((e) =>
+        console.error(
+          `Validation failed, error: ${e.message || "no error message"}`,
+        ),
+      )
+      .finally(() => {
+        this.started = false;
+      });
+    return this.running;
   }
 
-  async goLoop() {
-    return;
-    const files = await prisma.file.findMany({
-      where: {
-        validated: false,
-        storage: null,
-      },
-      skip: this.loop * TAKE,
-      take: TAKE,
-      include: {
-        artist: true,
-      },
-    });
+  /** Stops after the files being checked, the rest waits for the next run */
+  async stop() {
+    if (!this.started) return;
+    this.controller.abort();
+    await this.running;
+  }
 
-    if (files.length === 0) {
-      this.started = false;
-      console.log("Validation finished");
-      return;
-    }
+  async validateAll({ concurrency, deep }) {
+    const progressManager = getProgressManager();
+    const where = { validated: false, storageId: null };
+    const total = await prisma.file.count({ where });
+    progressManager.startTask(TASK_ID, "Validation", total);
 
-    for (const file of files) {
-      if (file.storage) {
-        continue;
-      }
+    const limit = pLimit(concurrency);
+    const { signal } = this.controller;
+    this.claimed = new Set();
+    let processed = 0;
+    let cursor = null;
+
+    // Checked rows leave the filter or get deleted, so pages follow the id
+    while (!signal.aborted) {
+      const files = await prisma.file.findMany({
+        where: cursor ? { ...where, id: { gt: cursor } } : where,
+        include: { artist: true, post: true },
+        orderBy: { id: "asc" },
+        take: BATCH_SIZE,
+      });
+      if (files.length === 0) break;
+      cursor = files[files.length - 1].id;
 
-      const type = fileTypeByFilename(file.filename);
-      const filePath = path.join(
-        process.env.DOWNLOAD_DIR,
-        file.artist.identifier,
-        file.filename,
+      await Promise.all(
+        files.map((file) =>
+          limit(async () => {
+            if (signal.aborted) return;
+            let result;
+            try {
+              result = await this.validateFile(file, deep);
+            } catch (e) {
+              if (signal.aborted) return;
+              console.error(
+                `Failed to validate ${file.filename}, error: ${
+                  e.message || "no error message"
+                }`,
+              );
+              result = "failed";
+            }
+            processed++;
+            progressManager.updateTask(TASK_ID, processed, { [result]: 1 });
+          }),
+        ),
       );
+    }
 
-      if (!fs.existsSync(filePath)) {
-        console.log(`File not found deleting : ${filePath}`);
-        await prisma.file.delete({
-          where: {
-            id: file.id,
-          },
-        });
-        continue;
-      }
+    progressManager.completeTask(
+      TASK_ID,
+      signal.aborted ? "stopped" : "completed",
+    );
+    console.log(
+      signal.aborted
+        ? `Validation stopped after ${processed} files`
+        : "Validation finished",
+    );
+  }
 
-      if (type === "image") {
-        if (await this.isImageCorrupt(filePath)) {
-          console.log(`Image corrompue : ${file}`);
-          await prisma.file.delete({
-            where: {
-              id: file.id,
-            },
-          });
-          rmSync(filePath);
-        } else {
-          await prisma.file.update({
-            where: {
-              id: file.id,
-            },
-            data: {
-              validated: true,
-            },
-          });
-        }
-      } else if (type === "video") {
-        if (await this.isVideoCorruptFull(filePath)) {
-          console.log(`Vidéo corrompue : ${JSON.stringify(file)}`);
-          await prisma.file.delete({
-            where: {
-              id: file.id,
-            },
-          });
-          rmSync(filePath);
-        } else {
-          await prisma.file.update({
-            where: {
-              id: file.id,
-            },
-            data: {
-              validated: true,
-            },
-          });
-        }
-      }
+  /**
+   * Resolves with what happened to the file: valid, missing or quarantined.
+   * Throws when a tool could not check it, the file is then left alone.
+   */
+  async validateFile(file, deep) {
+    const filePath = resolveFilePath(file);
+
+    if (!fs.existsSync(filePath)) {
+      if (this.claim(file)) await this.redownload(file);
+      return "missing";
+    }
+
+    const problem = await this.findProblem(file, filePath, deep);
+    if (problem) {
+      // Rows sharing the blob are handled by the first one to fail
+      if (!this.claim(file)) return "quarantined";
+      console.log(`Quarantined ${filePath}: ${problem}`);
+      this.quarantine(file, filePath);
+      await this.redownload(file);
+      return "quarantined";
+    }
+
+    await prisma.file.update({
+      where: { id: file.id },
+      data: { validated: true, missingAt: null },
+    });
+    return "valid";
+  }
+
+  async findProblem(file, filePath, deep) {
+    if (file.hash && (await hashFile(filePath)) !== file.hash) {
+      return "hash mismatch";
+    }
+
+    const { type } = file;
+    if (type === "image") {
+      return (
+        (await this.probeImage(filePath)) ||
+        (deep ? await this.decodeImage(filePath) : null)
+      );
     }
+    if (type === "video") {
+      return (
+        (await this.probeVideo(filePath)) ||
+        (deep ? await this.decodeVideo(filePath) : null)
+      );
+    }
+    return null;
+  }
+
+  async probeImage(filePath) {
+    try {
+      const { width, height } = await sharp(filePath).metadata();
+      return width && height ? null : "no image dimensions";
+    } catch (e) {
+      if (isSystemError(e)) throw e;
+      return e.message;
+    }
+  }
 
-    this.loop++;
-    this.goLoop();
+  async decodeImage(filePath) {
+    try {
+      await sharp(filePath).toBuffer();
+      return null;
+    } catch (e) {
+      if (isSystemError(e)) throw e;
+      return e.message;
+    }
   }
 
-  isVideoCorrupt(filePath) {
-    return new Promise((resolve) => {
+  probeVideo(filePath) {
+    return new Promise((resolve, reject) => {
       ffmpeg.ffprobe(filePath, (err, metadata) => {
-        resolve(!!err);
+        if (err) {
+          // A missing ffprobe or a kill is not the file's fault
+          return REJECTED_PATTERN.test(err.message)
+            ? resolve(err.message)
+            : reject(err);
+        }
+        const hasVideo = metadata.streams.some(
+          (stream) => stream.codec_type === "video",
+        );
+        resolve(hasVideo ? null : "no video stream");
       });
     });
   }
 
-  isVideoCorruptFull(filePath) {
-    return new Promise((resolve) => {
-      exec(
-        `ffmpeg -v error -i "${filePath}" -f null -`,
+  decodeVideo(filePath) {
+    return new Promise((resolve, reject) => {
+      execFile(
+        "ffmpeg",
+        ["-v", "error", "-i", filePath, "-f", "null", "-"],
+        { signal: this.controller.signal, maxBuffer: 1024 * 1024 * 16 },
         (err, stdout, stderr) => {
-          resolve(stderr.trim().length > 0);
+          // Exit codes are numbers, spawn failures and limits have names
+          if (err && typeof err.code !== "number") return reject(err);
+          const errors = stderr.trim() || err?.message || "";
+          resolve(errors ? errors.split("\n")[0] : null);
         },
       );
     });
   }
 
-  async isImageCorrupt(filePath) {
-    try {
-      await sharp(filePath).toBuffer({ resolveWithObject: false }); // force décodage complet
-      return false; // lisible entièrement
-    } catch (err) {
-      return true; // problème lors du décodage
+  /** Moves a bad file out of the store, with what was derived from it */
+  quarantine(file, filePath) {
+    const target = path.join(quarantineRoot(), `${file.id}_${file.filename}`);
+    fs.mkdirSync(quarantineRoot(), { recursive: true });
+    fs.renameSync(filePath, target);
+    fs.rmSync(`${filePath}.thumbnail.jpg`, { force: true });
+    removeThumbnails(file);
+    removeRenditions(file);
+  }
+
+  /** Whether the file is the first of its blob to be downloaded again */
+  claim(file) {
+    if (!file.hash) return true;
+    if (this.claimed.has(file.hash)) return false;
+    this.claimed.add(file.hash);
+    return true;
+  }
+
+  /**
+   * Drops the rows stored at the file's location, blobs can be shared, and
+   * queues them for download again. Files extracted from an archive are
+   * extracted again instead.
+   */
+  async redownload(file) {
+    const rows = file.hash
+      ? await prisma.file.findMany({
+          where: { hash: file.hash },
+          include: { artist: true, post: true },
+        })
+      : [file];
+
+    for (const row of rows) {
+      const [, , , deleted] = await prisma.$transaction([
+        // Entries of an archive come back with its next extraction
+        prisma.fileMetadata.deleteMany({
+          where: { file: { parentId: row.id } },
+        }),
+        prisma.file.deleteMany({ where: { parentId: row.id } }),
+        prisma.fileMetadata.deleteMany({ where: { fileId: row.id } }),
+        prisma.file.deleteMany({ where: { id: row.id } }),
+        ...(row.post?.completedAt && !row.parentId
+          ? [
+              prisma.post.update({
+                where: { id: row.post.id },
+                data: { completedAt: null },
+              }),
+            ]
+          : []),
+      ]);
+      // Rows already gone, e.g. entries of an archive above, are done
+      if (deleted.count === 0) continue;
+
+      if (row.parentId) {
+        await enqueueArchiveExtraction(row.parentId);
+        continue;
+      }
+      // Rows without a post can not be matched to an attachment anymore
+      if (!row.post) continue;
+
+      const dataPath = new URL(row.url).pathname.replace(/^\/data/, "");
+      const attachment = createPipeline().parseAttachment(
+        { type: "artist", artist: row.artist },
+        row.post,
+        { path: dataPath, name: row.filename },
+        row.position,
+      );
+      await enqueueFileDownload(row.artistId, row.post.id, attachment);
     }
   }
 }
@@ -0,0 +1,123 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "fs";
+import path from "path";
+import prisma from "./lib/prisma.js";
+import { hashFile, hashFromPath } from "./lib/utils.js";
+import { blobPath, legacyFilePath, storeBlob } from "./lib/blob-store.js";
+
+const BATCH_SIZE = 200;
+
+/**
+ * Moves files from the old `DOWNLOAD_DIR/<artist>/<filename>` layout into the
+ * content-addressed blob store and fills `File.hash` on the way.
+ *
+ * Usage: node src/migrate-storage.js [--dry-run]
+ */
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  const stats = {
+    moved: 0,
+    deduplicated: 0,
+    alreadyMigrated: 0,
+    missing: 0,
+    mismatched: 0,
+  };
+  const artistDirs = new Set();
+
+  let cursor = null;
+  while (true) {
+    const files = await prisma.file.findMany({
+      include: { artist: true },
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+    });
+    if (files.length === 0) break;
+    cursor = files[files.length - 1].id;
+
+    for (const file of files) {
+      try {
+        const expectedHash = file.hash || hashFromPath(file.url);
+        // Files without a known hash are stored under the one they hash to
+        let storedHash = expectedHash;
+        const legacyPath = legacyFilePath(
+          file.artist.identifier,
+          file.filename,
+        );
+        artistDirs.add(path.dirname(legacyPath));
+
+        if (!fs.existsSync(legacyPath)) {
+          if (expectedHash && fs.existsSync(blobPath(expectedHash))) {
+            stats.alreadyMigrated++;
+          } else {
+            stats.missing++;
+          }
+        } else {
+          const actualHash = await hashFile(legacyPath);
+
+          // Another attachment with the same filename took this spot
+          if (expectedHash && actualHash !== expectedHash) {
+            console.log(
+              `Hash mismatch, leaving in place: ${legacyPath} (file ${file.id})`,
+            );
+            stats.mismatched++;
+          } else {
+            if (fs.existsSync(blobPath(actualHash))) stats.deduplicated++;
+            else stats.moved++;
+
+            if (!dryRun) {
+              const thumbnailPath = `${legacyPath}.thumbnail.jpg`;
+              const target = storeBlob(legacyPath, actualHash);
+              storedHash = actualHash;
+              if (fs.existsSync(thumbnailPath)) {
+                if (fs.existsSync(`${target}.thumbnail.jpg`)) {
+                  fs.unlinkSync(thumbnailPath);
+                } else {
+                  fs.renameSync(thumbnailPath, `${target}.thumbnail.jpg`);
+                }
+              }
+            }
+          }
+        }
+
+        if (!dryRun && storedHash && file.hash !== storedHash) {
+          await prisma.file.update({
+            where: { id: file.id },
+            data: { hash: storedHash },
+          });
+        }
+      } catch (e) {
+        console.error(
+          `Failed to migrate file ${file.id}, error: ${
+            e.message || "no error message"
+          }`,
+        );
+      }
+    }
+  }
+
+  if (!dryRun) {
+    for (const dir of artistDirs) {
+      if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+      }
+    }
+  }
+
+  console.log(dryRun ? `\nDry run, nothing was changed:` : `\nDone:`);
+  console.log(`  Moved: ${stats.moved}`);
+  console.log(`  Duplicates removed: ${stats.deduplicated}`);
+  console.log(`  Already migrated: ${stats.alreadyMigrated}`);
+  console.log(`  Missing on disk: ${stats.missing}`);
+  console.log(`  Hash mismatches left in place: ${stats.mismatched}`);
+
+  await prisma.$disconnect();
+}
+
+main().catch((e) => {
+  console.error("Fatal error:", e);
+  process.exit(1);
+});